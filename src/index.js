@@ -1,13 +1,28 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
+import crypto from "crypto";
+import { parseArgs } from "util";
 import cron from "node-cron";
 import dotenv from "dotenv";
 
-import { readNdjson, appendNdjsonLine, getLastNBySymbol, pctChange as pctChg } from "./lib/history.js";
-import { nowIsoWithOffset } from "./lib/time.js";
-
-import { OpenAIProvider } from "./providers/openai.js";
-import { fetchPriceSeries } from "./providers/coingecko.js";
+import { readNdjson, writeNdjson, pctChange as pctChg } from "./lib/history.js";
+import {
+  nowIsoWithOffset,
+  zonedTimeToUtcMs,
+  isIsoDate,
+  eachDate,
+  addDays,
+  cronClock,
+  describeRebalanceTime,
+  localDateIn,
+  parseTimeParam,
+  previousDailyFireMs,
+  nextFireMs
+} from "./lib/time.js";
+
+import { createDecisionProvider } from "./providers/llm.js";
+import { fetchPriceSeries, fetchPriceSeriesRange } from "./providers/coingecko.js";
 import { fetchDerivativesSnapshot } from "./providers/krakenFutures.js";
 import { fetchFearGreed } from "./providers/fearGreed.js";
 import { fetchGoogleTrends } from "./providers/googleTrends.js";
@@ -15,9 +30,38 @@ import { fetchGoogleTrends } from "./providers/googleTrends.js";
 import { fetchMacroSnapshot } from "./strategy/macro.js";
 import { buildFeatures } from "./strategy/features.js";
 import { buildContext } from "./strategy/promptContext.js";
+import { loadPromptTemplate, portfolioPrompt, strategyPrompt } from "./strategy/prompts.js";
+import {
+  PORTFOLIO_OUTPUT_NAME,
+  allCashAllocation,
+  askForAllocation,
+  memberDecisions,
+  portfolioInput,
+  portfolioJsonSchema,
+  usageShare
+} from "./strategy/portfolio.js";
+import { askWithExplanationRepair, tidyExplanation } from "./strategy/explanation.js";
+import { runBacktest, truncateSeries } from "./strategy/backtest.js";
+import { buildLedger, scheduledSignalsByStrategy } from "./strategy/performance.js";
+import { loadStrategiesFile, buildStrategyName } from "./strategy/config.js";
+import { usesBlock, selectFeatures } from "./strategy/featureBlocks.js";
+import { ensembleMembers, decideEnsemble } from "./strategy/ensemble.js";
+import { portfolioPositionSize, positionSize } from "./strategy/sizing.js";
+import { fallbackDecision } from "./strategy/fallback.js";
+import { applyRiskPolicy } from "./strategy/guardrails.js";
+import { loadPriceTable, decisionUsage, budgetStatus } from "./strategy/budget.js";
 import { sanitizeFeatures, sanitizeMacro, sanitizeDerivatives, sanitizeSentiment, sanitizeTrends } from "./strategy/sanitize.js";
 
 import { ChainSignalsClient } from "./lib/chainsignals.js";
+import { configureCassette } from "./lib/cassette.js";
+import { startHttpApi } from "./lib/httpApi.js";
+import { RunJournal } from "./lib/runJournal.js";
+import { RunSummary } from "./lib/runSummary.js";
+import { DecisionCache } from "./lib/decisionCache.js";
+import { COLLECTIONS, openStorage, SqliteStore, migrateNdjsonToSqlite } from "./lib/storage.js";
+import { WebhookNotifier } from "./lib/notifier.js";
+import { counter, gauge, renderMetrics } from "./lib/prometheus.js";
+import { configureLogging, createLogger, withLogContext, bindLogContext } from "./lib/logger.js";
 
 dotenv.config();
 
@@ -35,51 +79,146 @@ function envBool(name, def = false) {
   return def;
 }
 
-function tidyExplanation(text) {
-  if (!text) return text;
-  let t = String(text).trim();
-  t = t.replace(/\s*\n\s*/g, " ");
-  t = t.replace(/\s+/g, " ");
+// Legacy debug switches, kept as aliases of the LOG_DEBUG namespace they used to control
+// (the chain ones also accepted the words "debug" / "trace").
+const LEGACY_DEBUG_FLAGS = [
+  { name: "CHAIN_RPC_DEBUG", word: "debug", namespace: "chain:rpc" },
+  { name: "CHAIN_RPC_TRACE", word: "trace", namespace: "chain:rpc" },
+  { name: "DEBUG_SIGNALS_FEEDBACK", word: null, namespace: "signals-feedback" }
+];
+
+function legacyDebugNamespaces() {
+  return LEGACY_DEBUG_FLAGS.filter(
+    ({ name, word }) => envBool(name, false) || (word && String(process.env[name] ?? "").trim().toLowerCase() === word)
+  ).map((f) => f.namespace);
+}
 
-  const MAX = 280;
-  if (t.length > MAX) t = t.slice(0, MAX).trim();
+configureLogging({
+  level: process.env.LOG_LEVEL || "info",
+  format: process.env.LOG_FORMAT || "pretty",
+  debugNamespaces: [...String(process.env.LOG_DEBUG || "").split(","), ...legacyDebugNamespaces()]
+});
+
+const log = createLogger("run");
+const configLog = createLogger("config");
+const feedbackLog = createLogger("signals-feedback");
+const schedulerLog = createLogger("scheduler");
+const apiLog = createLogger("api");
+const performanceLog = createLogger("performance");
+const backtestLog = createLogger("backtest");
+const storageLog = createLogger("storage");
+
+function fmtPct(x) {
+  return typeof x === "number" && Number.isFinite(x) ? `${(x * 100).toFixed(2)}%` : "n/a";
+}
 
-  if (t.length && /[A-Za-z0-9]$/.test(t) && !/[\.\!\?]$/.test(t)) {
-    const lastPunct = Math.max(t.lastIndexOf("."), t.lastIndexOf("!"), t.lastIndexOf("?"));
-    if (lastPunct >= 40) {
-      t = t.slice(0, lastPunct + 1).trim();
-    } else {
-      const lastSpace = t.lastIndexOf(" ");
-      if (lastSpace >= 40) t = t.slice(0, lastSpace).trim();
-      if (!/[\.\!\?]$/.test(t)) t = t + ".";
-    }
-  }
-  if (!/[\.\!\?]$/.test(t)) t = t + ".";
-  return t;
+function fmtNum(x) {
+  return typeof x === "number" && Number.isFinite(x) ? x.toFixed(2) : "n/a";
 }
 
 // -------------------------
 // CLI flags
 // -------------------------
 
+const USAGE = `Usage: node src/index.js [command] [options]
+
+Commands:
+  run (default)                 start the scheduler
+      --run-now                 also run every strategy once at startup (manual run)
+      --send-run-now            post manual runs on-chain too (alias: --force-send)
+      --no-cache                ask the model even when the decision cache (DECISION_CACHE=true)
+                                has an answer; scheduled runs always do
+      --record <dir>            record provider/RPC responses into a cassette
+      --replay <dir>            single offline run from a cassette (--scheduled: as a scheduled run),
+                                writing to a scratch copy of the logs
+  signals list                  logged decisions, newest last
+      --strategy <name> --symbol <sym> --run-id <id> --from <date> --to <date> --limit <n> --json
+  signals show [run_id]         full records of a run, or the latest record matching the filters
+  strategies validate           check strategies.json and report every problem
+  strategies names              on-chain strategy names (scheduled and test runs) --json
+  chain history --strategy <name> [--n 10] [--trader <address>] [--json]
+                                signals posted on-chain for a strategy (read-only; --trader is
+                                required when DEPLOYER_PK is not set)
+  backtest --from <date> --to <date> [--strategy <name>...] [--no-cache]
+  performance                   update the paper performance ledger
+  migrate-storage [--replace]   import NDJSON logs into the SQLite database
+  help
+`;
+
 const argv = process.argv.slice(2);
-const RUN_NOW = argv.includes("--run-now") || envBool("RUN_ON_START", false);
+// Optional leading command (e.g. `backtest`); default is the scheduler.
+const COMMAND = ["--help", "-h"].includes(argv[0]) ? "help" : argv[0] && !argv[0].startsWith("-") ? argv[0] : "run";
+const COMMAND_ARGS = argv[0] === COMMAND ? argv.slice(1) : argv;
+// Commands that fetch market data / call models; the others only read local state or the chain.
+const PROVIDER_COMMAND = ["run", "backtest", "performance"].includes(COMMAND);
+
+// Strict per-command flags: unknown options are errors, not silently ignored.
+function parseFlags(args, options, { positionals = false } = {}) {
+  return parseArgs({ args, options, strict: true, allowPositionals: positionals });
+}
+
+// Flags of the commands that configure the process itself (cassette, decision cache), parsed up
+// front; the other commands parse their own.
+const STARTUP_FLAGS = {
+  run: {
+    "run-now": { type: "boolean" },
+    "send-run-now": { type: "boolean" },
+    "force-send": { type: "boolean" },
+    scheduled: { type: "boolean" },
+    "no-cache": { type: "boolean" },
+    record: { type: "string" },
+    replay: { type: "string" }
+  },
+  backtest: {
+    from: { type: "string" },
+    to: { type: "string" },
+    strategy: { type: "string", multiple: true },
+    "no-cache": { type: "boolean" }
+  }
+};
+
+let FLAGS = {};
+if (STARTUP_FLAGS[COMMAND]) {
+  try {
+    FLAGS = parseFlags(COMMAND_ARGS, STARTUP_FLAGS[COMMAND]).values;
+    if (FLAGS.record && FLAGS.replay) throw new Error("--record and --replay are mutually exclusive");
+  } catch (e) {
+    process.stderr.write(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+}
+const RUN_NOW = Boolean(FLAGS["run-now"]) || envBool("RUN_ON_START", false);
 const FORCE_SEND_RUN_NOW =
-  argv.includes("--send-run-now") ||
-  argv.includes("--force-send") ||
+  Boolean(FLAGS["send-run-now"]) ||
+  Boolean(FLAGS["force-send"]) ||
   envBool("SEND_RUN_NOW_TO_CHAIN", false);
 
+// Cassette mode (run only): --record <dir> captures every provider/RPC response, --replay <dir>
+// serves them back with no network. A replay is a single run (no scheduler) on a scratch copy of
+// the storage; add --scheduled to replay it as a scheduled run.
+const RECORD_DIR = FLAGS.record;
+const REPLAY_DIR = FLAGS.replay;
+if (RECORD_DIR) configureCassette({ mode: "record", dir: RECORD_DIR });
+if (REPLAY_DIR) configureCassette({ mode: "replay", dir: REPLAY_DIR });
+const REPLAY = Boolean(REPLAY_DIR);
+
 // -------------------------
 // Env
 // -------------------------
 
 const {
   OPENAI_API_KEY,
+  OPENAI_BASE_URL,
+  OPENAI_COMPATIBLE_API_KEY,
+  OPENAI_COMPATIBLE_BASE_URL,
+  ANTHROPIC_API_KEY,
+  ANTHROPIC_BASE_URL,
   COINGECKO_API_KEY,
   COINGECKO_API_BASE,
   VS_CURRENCY = "usd",
   LOG_DIR = "./logs",
   CRON_EXPR = "0 12 * * *",
+  CRON_TIMEZONE = "Europe/Paris",
   INCLUDE_BTC_REGIME = "true",
   CHAIN_ID,
   CHAIN_NAME,
@@ -96,19 +235,60 @@ function txUrl(hash) {
   return `${CHAIN_EXPLORER_BASE}/tx/${hash}`;
 }
 
-const cgKey = must("COINGECKO_API_KEY", COINGECKO_API_KEY);
-const openaiKey = must("OPENAI_API_KEY", OPENAI_API_KEY);
-
-// Absolute log paths (single source of truth)
-const logDirAbs = path.resolve(process.cwd(), LOG_DIR);
-const logPath = path.join(logDirAbs, "signals.ndjson");
-const derivHistPath = path.join(logDirAbs, "derivatives_history.ndjson");
-const sentimentHistPath = path.join(logDirAbs, "sentiment_history.ndjson");
+// Replays never reach the network and inspection commands never call providers, so API keys are optional there.
+const NEEDS_API_KEYS = !REPLAY && PROVIDER_COMMAND;
+const cgKey = NEEDS_API_KEYS ? must("COINGECKO_API_KEY", COINGECKO_API_KEY) : COINGECKO_API_KEY || "";
 
-function appendNdjson(filePath, obj) {
-  appendNdjsonLine(filePath, obj);
+// Replays read the real history (previous signals, derivatives/sentiment points, the journal)
+// from a copy, so their records, journal entries and locks never reach the live LOG_DIR.
+function replayScratchDir(liveDir, liveSqlitePath) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aisignals-replay-"));
+  for (const file of Object.values(COLLECTIONS)) {
+    if (fs.existsSync(path.join(liveDir, file))) fs.copyFileSync(path.join(liveDir, file), path.join(dir, file));
+  }
+  for (const suffix of ["", "-wal", "-shm"]) {
+    if (fs.existsSync(liveSqlitePath + suffix)) fs.copyFileSync(liveSqlitePath + suffix, path.join(dir, `aisignals.db${suffix}`));
+  }
+  return dir;
 }
 
+// Absolute log paths (single source of truth)
+const liveLogDir = path.resolve(process.cwd(), LOG_DIR);
+const liveSqlitePath = path.resolve(process.cwd(), process.env.STORAGE_SQLITE_PATH || path.join(LOG_DIR, "aisignals.db"));
+const logDirAbs = REPLAY ? replayScratchDir(liveLogDir, liveSqlitePath) : liveLogDir;
+const performancePath = path.join(logDirAbs, "performance.ndjson");
+const sqlitePath = REPLAY ? path.join(logDirAbs, "aisignals.db") : liveSqlitePath;
+
+// Signals, derivatives/sentiment history and the run journal (STORAGE_BACKEND=ndjson|sqlite).
+const store = openStorage({ backend: process.env.STORAGE_BACKEND || "ndjson", dir: logDirAbs, sqlitePath });
+
+// Scheduled posts are keyed per strategy and local day, so a restart or a double cron fire never posts twice.
+const journal = new RunJournal({
+  dir: logDirAbs,
+  store,
+  staleLockMs: Number(process.env.RUN_LOCK_STALE_MS || 30 * 60 * 1000)
+});
+
+// Prometheus metrics (GET /metrics on the HTTP API). OpenAI and RPC latency live in their clients.
+const providerFetches = counter("aisignals_provider_fetch_total", "Provider fetches by outcome", ["provider", "symbol", "outcome"]);
+const decisionsTotal = counter("aisignals_decisions_total", "Logged decisions by source (ai, ensemble, fallback)", ["strategy", "source"]);
+const chainPosts = counter("aisignals_chain_posts_total", "On-chain post outcomes", ["strategy", "status"]);
+const gasPriceGwei = gauge("aisignals_chain_gas_price_gwei", "Gas price of the last on-chain post", ["strategy"]);
+const llmCost = counter("aisignals_llm_cost_usd_total", "Estimated model spend in USD", ["strategy"]);
+const walletBalance = gauge("aisignals_wallet_balance", "Posting wallet balance in native units");
+const lastSuccessfulRun = gauge(
+  "aisignals_strategy_last_success_timestamp_seconds",
+  "Unix time of the last model-made decision whose post (if any) succeeded",
+  ["strategy", "run_type"]
+);
+
+// Replays must stay offline, so they never notify.
+const notifier = new WebhookNotifier({
+  urls: REPLAY ? [] : String(process.env.WEBHOOK_URLS || "").split(","),
+  events: process.env.WEBHOOK_EVENTS ? String(process.env.WEBHOOK_EVENTS).split(",").map((e) => e.trim()) : null,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000)
+});
+
 function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
@@ -118,55 +298,59 @@ function ensureDir(p) {
 // -------------------------
 
 function loadStrategies() {
-  const strategiesPath = path.resolve(process.cwd(), "strategies.json");
-  const legacyAssetsPath = path.resolve(process.cwd(), "assets.json");
-
-  if (fs.existsSync(strategiesPath)) {
-    const raw = JSON.parse(fs.readFileSync(strategiesPath, "utf8"));
-    if (!Array.isArray(raw.strategies)) throw new Error("strategies.json must contain { strategies: [...] }");
-    return raw.strategies;
-  }
-  if (fs.existsSync(legacyAssetsPath)) {
-    const raw = JSON.parse(fs.readFileSync(legacyAssetsPath, "utf8"));
-    if (!Array.isArray(raw.assets)) throw new Error("assets.json must contain { assets: [...] }");
-    // Legacy fallback: map assets -> strategies with defaults
-    return raw.assets.map((a) => ({
-      ...a,
-      chainAsset: a.symbol,
-      model: process.env.OPENAI_MODEL || "gpt-4.1-mini",
-      version: 0
-    }));
-  }
-  throw new Error(`strategies.json not found at ${strategiesPath} (and no legacy assets.json found)`);
-}
-
-function normalizeStrategy(s) {
-  const symbol = String(s.symbol || "").trim().toUpperCase();
-  const chainAsset = String(s.chainAsset || "").trim().toUpperCase();
-  const model = String(s.model || "").trim();
-  const version = Number(s.version);
-
-  if (!symbol) throw new Error("Strategy missing symbol");
-  if (!s.coingeckoId) throw new Error(`Strategy ${symbol} missing coingeckoId`);
-  if (!chainAsset) throw new Error(`Strategy ${symbol} missing chainAsset`);
-  if (!model) throw new Error(`Strategy ${symbol} missing model`);
-  if (!Number.isInteger(version) || version < 0) throw new Error(`Strategy ${symbol} has invalid version`);
-
-  return {
-    ...s,
-    symbol,
-    chainAsset,
-    model,
-    version
-  };
+  return loadStrategiesFile({
+    defaultCron: CRON_EXPR,
+    defaultTimezone: CRON_TIMEZONE,
+    legacyModel: process.env.OPENAI_MODEL || "gpt-4.1-mini"
+  });
 }
 
-const strategies = loadStrategies().map(normalizeStrategy);
-
 // Unique market assets (so we fetch data and compute lagged deltas once per symbol)
-const marketAssets = new Map();
-for (const s of strategies) {
-  if (!marketAssets.has(s.symbol)) marketAssets.set(s.symbol, s);
+function buildMarketAssets(list) {
+  const out = new Map();
+  for (const s of list) {
+    if (!out.has(s.symbol)) out.set(s.symbol, s);
+  }
+  return out;
+}
+
+// Reassigned on hot reload; a run keeps the array it started with.
+// Inspection commands load (and report on) the file themselves, if they need it at all.
+const strategiesConfig = PROVIDER_COMMAND ? loadStrategies() : null;
+let strategies = strategiesConfig?.strategies ?? [];
+let marketAssets = buildMarketAssets(strategies);
+let pendingStrategies = null;
+
+function applyStrategies(next) {
+  strategies = next;
+  marketAssets = buildMarketAssets(next);
+  pendingStrategies = null;
+  if (scheduledTasks.size) schedule();
+  configLog.info("Strategies reloaded", { strategies: next.map((s) => buildStrategyName(s, "scheduled")) });
+}
+
+// Invalid edits are reported and ignored; valid ones apply once no run is in flight.
+function reloadStrategies() {
+  let next;
+  try {
+    next = loadStrategies().strategies;
+    checkDecisionBackends(next);
+  } catch (e) {
+    configLog.error("Strategies reload rejected, keeping previous config", { error: String(e?.message || e) });
+    return;
+  }
+  if (runState.active.size) {
+    pendingStrategies = next;
+    configLog.info("Strategies changed; reload deferred until the current run finishes");
+    return;
+  }
+  applyStrategies(next);
+}
+
+function watchStrategies() {
+  fs.watchFile(strategiesConfig.path, { interval: 2000 }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs) reloadStrategies();
+  });
 }
 
 function trendsKeywordFor(symbol) {
@@ -187,34 +371,228 @@ function trendsKeywordFor(symbol) {
   return map[s] || `${s} crypto`;
 }
 
-// Provider cache (per model)
-const aiByModel = new Map();
-function getAi(model) {
-  if (!aiByModel.has(model)) {
-    aiByModel.set(
+// Per-backend credentials and endpoints; a strategy's own baseUrl wins over the env default.
+function llmApiKey(provider) {
+  switch (provider) {
+    case "openai":
+      return NEEDS_API_KEYS ? must("OPENAI_API_KEY", OPENAI_API_KEY) : OPENAI_API_KEY || "replay";
+    case "anthropic":
+      return NEEDS_API_KEYS ? must("ANTHROPIC_API_KEY", ANTHROPIC_API_KEY) : ANTHROPIC_API_KEY || "replay";
+    case "openai-compatible":
+      return OPENAI_COMPATIBLE_API_KEY || "";
+    default:
+      return "";
+  }
+}
+
+function llmBaseUrl(strategy) {
+  if (strategy.baseUrl) return strategy.baseUrl;
+  if (strategy.provider === "openai") return OPENAI_BASE_URL;
+  if (strategy.provider === "openai-compatible") return OPENAI_COMPATIBLE_BASE_URL;
+  if (strategy.provider === "anthropic") return ANTHROPIC_BASE_URL;
+  return undefined;
+}
+
+// Provider cache (per backend + endpoint + model); ensemble members share the strategy's backend.
+const aiByKey = new Map();
+function getAi(strategy, model) {
+  const provider = strategy.provider;
+  const baseUrl = llmBaseUrl(strategy);
+  const key = [provider, baseUrl ?? "", strategy.api ?? "", model].join("|");
+  if (!aiByKey.has(key)) {
+    aiByKey.set(key, createDecisionProvider({ provider, model, baseUrl, api: strategy.api, apiKey: llmApiKey(provider) }));
+  }
+  return aiByKey.get(key);
+}
+
+// Fail at load time, not mid-run, when a strategy's backend lacks its key or endpoint.
+function checkDecisionBackends(list) {
+  for (const s of list) {
+    getAi(s, s.model);
+    if (s.portfolio) getAi(s.portfolio, s.portfolio.model);
+  }
+}
+checkDecisionBackends(strategies);
+
+// USD per 1M tokens, per model, for every backend (OPENAI_PRICES overrides/extends the built-in list prices).
+const openaiPrices = loadPriceTable(process.env.OPENAI_PRICES);
+
+// Usage of every model call behind a decision, priced.
+function usageOf(decision) {
+  const calls = decision.ensemble ? decision.ensemble.votes.map((v) => v.usage) : [decision.usage];
+  return decisionUsage(calls, openaiPrices);
+}
+
+// Billed calls behind a failed decision: bad output, a rejected position, failed re-asks or ensemble
+// votes, a failed portfolio allocation (see billedError).
+function failedUsageOf(err) {
+  return usageOf(err?.ensemble ? { ensemble: err.ensemble } : { usage: err?.usage ?? null });
+}
+
+// Budgets cover the strategy's spend in scheduled, test and backtest runs alike.
+function strategySpendRecords(strategy) {
+  const names = new Set([buildStrategyName(strategy, "scheduled"), buildStrategyName(strategy, "manual")]);
+  return [...store.read("signals"), ...store.read("model_spend")].filter((r) => names.has(r?.strategy) && r.usage);
+}
+
+// Identical (backend, model, sample, prompt, payload) -> the earlier answer, on disk. Opt-in
+// (DECISION_CACHE=true), as a dev/replay aid; --no-cache skips lookups for one invocation but still
+// refreshes the entries. Scheduled runs never reuse an answer (see runPass).
+const decisionCache = envBool("DECISION_CACHE", false)
+  ? new DecisionCache({
+      dir: path.resolve(process.cwd(), process.env.DECISION_CACHE_DIR || path.join(LOG_DIR, "decision-cache")),
+      bypass: Boolean(FLAGS["no-cache"])
+    })
+  : null;
+
+// Template identity logged with every decision, so historical signals name their prompt.
+function promptRef(strategy) {
+  const { id, hash } = strategyPrompt(strategy);
+  return { id, hash };
+}
+
+function portfolioPromptRef(portfolio) {
+  const { id, hash } = loadPromptTemplate(portfolio.prompt);
+  return { id, hash };
+}
+
+// The template a strategy's signals are decided with (its own, or its portfolio's).
+function signalPromptRef(strategy) {
+  return strategy.portfolio ? portfolioPromptRef(strategy.portfolio) : promptRef(strategy);
+}
+
+function contextFor(strategy) {
+  return buildContext({
+    rebalanceTimeLocal: describeRebalanceTime(strategy.cron, strategy.timezone),
+    holdingPeriod: strategy.holdingPeriod,
+    allowedPositions: strategy.allowedPositions,
+    daily: Boolean(cronClock(strategy.cron)?.daily)
+  });
+}
+
+// Re-asks allowed per call when the explanation breaks an on-chain rule (explanation.js).
+const EXPLANATION_REPAIRS = Math.max(0, Number(process.env.EXPLANATION_REPAIR_ATTEMPTS ?? 2));
+
+// A position outside allowedPositions counts as a failed call (fallback, or a failed ensemble vote).
+// Cache hits carry no usage: nothing was billed for them. `sample` (the ensemble sample index) is part
+// of the cache key, so repeated samples stay independent; `refresh` skips the cache lookup.
+async function decideWithModel(strategy, model, payload, { sample = 1, refresh = false } = {}) {
+  const { id, hash, instructions } = strategyPrompt(strategy);
+  const ai = getAi(strategy, model);
+  const ask = () =>
+    askWithExplanationRepair((correction) => ai.decideSignal({ ...payload, instructions, correction }), {
+      previousSignals: payload.context?.previous_signals ?? [],
+      maxRepairs: EXPLANATION_REPAIRS
+    });
+  let decision;
+  if (decisionCache) {
+    const parts = {
+      provider: strategy.provider,
+      base_url: llmBaseUrl(strategy) ?? null,
+      api: strategy.api ?? null,
       model,
-      new OpenAIProvider({
-        apiKey: openaiKey,
-        model
-      })
-    );
+      sample,
+      prompt: { id, hash },
+      instructions,
+      payload
+    };
+    const meta = { model, symbol: payload.symbol, prompt: { id, hash } };
+    const res = await decisionCache.getOrCompute(parts, ask, meta, { refresh });
+    decision = res.hit
+      ? { ...res.decision, usage: null, cache: { key: res.key, hit: true, cached_at: res.cached_at } }
+      : { ...res.decision, cache: { key: res.key, hit: false } };
+  } else {
+    decision = await ask();
   }
-  return aiByModel.get(model);
+  if (strategy.allowedPositions && !strategy.allowedPositions.includes(decision.signal)) {
+    const err = new Error(`${model} chose ${decision.signal}, which is not in allowedPositions`);
+    err.usage = decision.usage ?? null;
+    throw err;
+  }
+  return decision;
 }
 
-// Chain client is only constructed if we may ever send
-function buildChainClient() {
+// Single model, or a committee vote when the strategy declares an ensemble.
+async function decideForStrategy(strategy, payload, { refresh = false } = {}) {
+  const members = ensembleMembers(strategy);
+  if (!members) return decideWithModel(strategy, strategy.model, payload, { refresh });
+  return decideEnsemble({
+    members,
+    rule: strategy.ensemble.rule,
+    decide: (model, member) => decideWithModel(strategy, model, payload, { sample: member.sample, refresh })
+  });
+}
+
+// Portfolio mode: one allocation for the members in this run -> Map symbol -> decision (portfolio.js).
+// previous_signals feedback is per strategy and is not part of the portfolio input.
+// `held`: exposure already posted today by members outside this run (fitAllocation).
+async function decidePortfolio(members, featuresFor, { refresh = false, held = 0 } = {}) {
+  const portfolio = members[0].portfolio;
+  const { id, hash, instructions } = portfolioPrompt(portfolio, members);
+  const assets = members.map((s) => ({ symbol: s.symbol, features: featuresFor(s), context: contextFor(s) }));
+  const schema = portfolioJsonSchema(members.map((s) => s.symbol));
+  const ai = getAi(portfolio, portfolio.model);
+  // A failed allocation is billed too: every member's fallback record carries its share.
+  const ask = () =>
+    askForAllocation(
+      (correction) =>
+        ai.decideJson({
+          instructions,
+          input: portfolioInput({ assets, correction }),
+          name: PORTFOLIO_OUTPUT_NAME,
+          schema,
+          dryRun: allCashAllocation(members)
+        }),
+      { members, maxRepairs: EXPLANATION_REPAIRS }
+    ).catch((e) => {
+      if (e?.usage) e.usage = usageShare(e.usage, members.length);
+      throw e;
+    });
+
+  if (!decisionCache) return memberDecisions({ ...(await ask()), members, held });
+  const parts = {
+    provider: portfolio.provider,
+    base_url: llmBaseUrl(portfolio) ?? null,
+    api: portfolio.api ?? null,
+    model: portfolio.model,
+    prompt: { id, hash },
+    instructions,
+    payload: assets
+  };
+  const meta = { model: portfolio.model, symbol: members.map((s) => s.symbol).join(","), prompt: { id, hash } };
+  const res = await decisionCache.getOrCompute(parts, ask, meta, { refresh });
+  const decisions = memberDecisions({ ...res.decision, ...(res.hit ? { usage: null } : {}), members, held });
+  const cache = res.hit ? { key: res.key, hit: true, cached_at: res.cached_at } : { key: res.key, hit: false };
+  for (const d of decisions.values()) d.cache = cache;
+  return decisions;
+}
+
+function hasMarketData(features) {
+  return typeof features?.price === "number" && isFinite(features.price) && Boolean(features?.meta?.lastDailyTs);
+}
+
+// Chain client is only constructed if we may ever send (or, readOnly, to read signals without a key)
+function buildChainClient({ readOnly = false } = {}) {
   return new ChainSignalsClient({
     rpcUrl: must("CHAIN_RPC_URL", CHAIN_RPC_URL),
     chainId: must("CHAIN_ID", CHAIN_ID),
     chainName: CHAIN_NAME || "Kasplex L2",
     contractAddress: must("CHAIN_SIGNALS_ADDRESS", CHAIN_SIGNALS_ADDRESS),
-    privateKey: must("DEPLOYER_PK", DEPLOYER_PK),
+    privateKey: readOnly ? DEPLOYER_PK : must("DEPLOYER_PK", DEPLOYER_PK),
+    readOnly,
     gasPriceGwei: CHAIN_GAS_PRICE_GWEI,
     gasLimit: CHAIN_GAS_LIMIT
   });
 }
 
+// One posting client per process: its nonce allocator and post queue must see every post,
+// including concurrent schedule groups and manual /run requests.
+let postingChain = null;
+function postingChainClient() {
+  postingChain ??= buildChainClient();
+  return postingChain;
+}
+
 async function computeAssetSnapshot(asset) {
   const { dailyPrices, hourlyPrices } = await fetchPriceSeries({
     apiKey: cgKey,
@@ -228,29 +606,6 @@ async function computeAssetSnapshot(asset) {
   return { asset, features };
 }
 
-function buildStrategyName(strategy, runType) {
-  const suffix = runType === "scheduled" ? `v${strategy.version}` : "test";
-  // Contract constraint: strategy name <= 30 chars
-  const asset = String(strategy.chainAsset || strategy.symbol || "").trim();
-  const model = String(strategy.model || "").trim();
-
-  let name = `${asset} ${model} ${suffix}`.replace(/\s+/g, " ").trim();
-  if (name.length <= 30) return name;
-
-  // Try removing spaces in model
-  const compactModel = model.replace(/\s+/g, "");
-  name = `${asset} ${compactModel} ${suffix}`.replace(/\s+/g, " ").trim();
-  if (name.length <= 30) return name;
-
-  // Truncate model to fit
-  const fixed = `${asset}  ${suffix}`.replace(/\s+/g, " ").trim();
-  const remaining = 30 - fixed.length - 1; // space between asset and model
-  const clippedModel = remaining > 0 ? compactModel.slice(0, remaining) : "";
-  name = `${asset} ${clippedModel} ${suffix}`.replace(/\s+/g, " ").trim();
-
-  return name.slice(0, 30);
-}
-
 function mapDecisionToChain(decisionSignal, chainAsset) {
   // Contract enum PositionIntent: Long=0, Short=1
   // Our signals: LONG_ASSET, LONG_CASH, SHORT_ASSET
@@ -263,63 +618,152 @@ function mapDecisionToChain(decisionSignal, chainAsset) {
   return { asset: chainAsset, target: "Long" };
 }
 
-async function runOnce({ runType }) {
+// Inverse of mapDecisionToChain for signals read back from the contract.
+function chainSignalToDecision(s) {
+  const isCash = String(s.asset || "").toUpperCase() === "USD" && Number(s.target) === 0;
+  const signal = isCash ? "LONG_CASH" : (Number(s.target) === 1 ? "SHORT_ASSET" : "LONG_ASSET");
+  const iso = s.timestamp ? new Date(Number(s.timestamp) * 1000).toISOString() : null;
+  return { timestamp: iso, signal, explanation: String(s.message || "").trim() };
+}
+
+// Decisions this bot logged for a strategy (oldest -> newest), for fallbacks when the chain is not read.
+function loggedSignals(strategyName) {
+  return store.read("signals", { strategy: strategyName }).filter((r) => r.signal && !r.chain_error);
+}
+
+// Absolute exposure (percent) that portfolio members outside `members` posted today: a catch-up
+// run allocating only some members must leave room for the rest (portfolio.js fitAllocation).
+function portfolioHeldExposure(members, postStates) {
+  if (!members.length) return 0;
+  const inRun = new Set(members.map((s) => s.symbol));
+  let held = 0;
+  for (const s of strategies.filter((x) => x.portfolio && !inRun.has(x.symbol))) {
+    const name = buildStrategyName(s, "scheduled");
+    const today = localDateIn(s.timezone);
+    if (!["posted", "pending"].includes(postStates.get(`${name}@${today}`))) continue;
+    const last = loggedSignals(name).filter((r) => r.run_type === "scheduled" && localDateIn(s.timezone, new Date(r.timestamp)) === today).pop();
+    if (last && last.signal !== "LONG_CASH") held += last.sizing?.weight ?? 100;
+  }
+  return held;
+}
+
+// The model behind a strategy's signals (its own, or its portfolio's), as logged on its records.
+function signalBackend(strategy) {
+  const { model, provider } = strategy.portfolio ?? strategy;
+  return { model, provider };
+}
+
+// Whether the strategy's latest on-chain signal is dated today (strategy timezone).
+async function postedOnChainToday(chain, strategyName, timezone) {
+  const [last] = await chain.getRecentSignalsForStrategy({ strategyName, n: 1 });
+  const lastMs = last?.timestamp ? Number(last.timestamp) * 1000 : null;
+  return Boolean(lastMs) && localDateIn(timezone, new Date(lastMs)) === localDateIn(timezone);
+}
+
+function newRunId() {
+  return crypto.randomUUID();
+}
+
+function sameLocalDay(a, b) {
+  return Boolean(a && b) && String(a).slice(0, 10) === String(b).slice(0, 10);
+}
+
+/**
+ * One decision pass. `runStrategies` defaults to every configured strategy (manual runs);
+ * scheduled runs pass only the strategies attached to the cron job that fired.
+ */
+async function runOnce({ runType, runId = newRunId(), strategies: runStrategies = strategies }) {
+  const summary = new RunSummary({ runId, runType, strategies: runStrategies.map((s) => buildStrategyName(s, runType)) });
+  return withLogContext({ run_id: runId, run_type: runType }, async () => {
+    try {
+      await runPass({ runType, runId, runStrategies, summary });
+      summary.finish();
+    } catch (e) {
+      summary.finish(e);
+      throw e;
+    } finally {
+      const rec = summary.toRecord();
+      store.append("runs", rec);
+      log.info("Run finished", { status: rec.status, duration_ms: rec.duration_ms, ...rec.counts, errors: rec.errors });
+    }
+  });
+}
+
+// Times a provider call into the run summary and the fetch counter.
+async function fetchProvider(summary, provider, symbol, fn) {
+  try {
+    const out = await summary.timeProvider(provider, symbol || null, fn);
+    providerFetches.inc({ provider, symbol: symbol || "", outcome: "ok" });
+    return out;
+  } catch (e) {
+    providerFetches.inc({ provider, symbol: symbol || "", outcome: "fail" });
+    throw e;
+  }
+}
+
+async function runPass({ runType, runId, runStrategies, summary }) {
   const timestamp = nowIsoWithOffset();
   const scheduled = runType === "scheduled";
   const shouldSendToChain = scheduled || (runType === "manual" && FORCE_SEND_RUN_NOW);
 
   ensureDir(logDirAbs);
 
-  // Load history once
-  const derivHistRecords = readNdjson(derivHistPath);
-  const sentimentHistRecords = readNdjson(sentimentHistPath);
+  // Providers are only fetched when at least one strategy of this run sends their block.
+  const anyUses = (block, symbol = null) =>
+    runStrategies.some((s) => (symbol === null || s.symbol === symbol) && usesBlock(s, block));
 
   // Sentiment (best-effort): Fear & Greed
   let sentimentRaw = null;
   let sentimentOk = false;
-  try {
-    const fg = await fetchFearGreed({ limit: 1 });
-    // compute 1d change from local history (if any)
-    const last = sentimentHistRecords.length ? sentimentHistRecords[sentimentHistRecords.length - 1] : null;
-    const change1d = last?.fear_greed_value != null && fg?.value != null ? fg.value - last.fear_greed_value : null;
-    sentimentRaw = { fear_greed: { ...fg, change_1d: change1d } };
-    sentimentOk = true;
-    if (scheduled && fg?.value != null) {
-      appendNdjsonLine(sentimentHistPath, {
-        timestamp,
-        fear_greed_value: fg.value,
-        fear_greed_classification: fg.classification ?? null
-      });
+  if (anyUses("sentiment")) {
+    try {
+      const fg = await fetchProvider(summary, "fear_greed", null, () => fetchFearGreed({ limit: 1 }));
+      // compute 1d change from local history (if any)
+      const last = store.read("sentiment_history", { limit: 1 })[0] || null;
+      const change1d = last?.fear_greed_value != null && fg?.value != null ? fg.value - last.fear_greed_value : null;
+      sentimentRaw = { fear_greed: { ...fg, change_1d: change1d } };
+      sentimentOk = true;
+      // Several schedules may fire on the same day; keep one history point per day.
+      if (scheduled && fg?.value != null && !sameLocalDay(last?.timestamp, timestamp)) {
+        store.append("sentiment_history", {
+          timestamp,
+          fear_greed_value: fg.value,
+          fear_greed_classification: fg.classification ?? null
+        });
+      }
+      log.info("Sentiment fetch (fear&greed): OK");
+    } catch (e) {
+      sentimentRaw = null;
+      sentimentOk = false;
+      log.warn("Sentiment fetch (fear&greed): FAIL", { error: String(e.message || e) });
     }
-    console.log(`[${timestamp}] Sentiment fetch (fear&greed): OK`);
-  } catch (e) {
-    sentimentRaw = null;
-    sentimentOk = false;
-    console.warn(`[${timestamp}] Sentiment fetch (fear&greed): FAIL - ${String(e.message || e)}`);
   }
   const sentiment = sentimentRaw ? sanitizeSentiment(sentimentRaw) : null;
 
   // Macro proxies (best-effort)
   let macroRaw = null;
   let macroOk = false;
-  try {
-    macroRaw = await fetchMacroSnapshot();
-    macroOk = true;
-    console.log(`[${timestamp}] Macro fetch: OK`);
-  } catch (e) {
-    macroRaw = null;
-    macroOk = false;
-    console.error(`[${timestamp}] Macro fetch: FAIL - ${String(e.message || e)}`);
+  if (anyUses("macro")) {
+    try {
+      macroRaw = await fetchProvider(summary, "macro", null, () => fetchMacroSnapshot());
+      macroOk = true;
+      log.info("Macro fetch: OK");
+    } catch (e) {
+      macroRaw = null;
+      macroOk = false;
+      log.error("Macro fetch: FAIL", { error: String(e.message || e) });
+    }
   }
   const macro = macroRaw ? sanitizeMacro(macroRaw) : null;
 
   // BTC regime (best-effort)
   let btc = null;
-  if (String(INCLUDE_BTC_REGIME).toLowerCase() === "true") {
+  const needsBtc = runStrategies.some((s) => s.type === "crypto" && s.symbol !== "BTC" && usesBlock(s, "btc_regime"));
+  if (String(INCLUDE_BTC_REGIME).toLowerCase() === "true" && needsBtc) {
     const btcAsset = marketAssets.get("BTC") || null;
     if (btcAsset) {
       try {
-        const snap = await computeAssetSnapshot(btcAsset);
+        const snap = await fetchProvider(summary, "coingecko", "BTC", () => computeAssetSnapshot(btcAsset));
         btc = sanitizeFeatures(snap.features);
       } catch {
         btc = null;
@@ -328,8 +772,10 @@ async function runOnce({ runType }) {
   }
 
   // Compute price/feature snapshots (once per symbol)
-  const marketList = Array.from(marketAssets.values());
-  const snaps = await Promise.allSettled(marketList.map((a) => computeAssetSnapshot(a)));
+  const marketList = Array.from(buildMarketAssets(runStrategies).values());
+  const snaps = await Promise.allSettled(
+    marketList.map((a) => fetchProvider(summary, "coingecko", a.symbol, () => computeAssetSnapshot(a)))
+  );
   const featuresBySymbol = new Map();
 
   for (let i = 0; i < snaps.length; i++) {
@@ -341,16 +787,18 @@ async function runOnce({ runType }) {
       const msg = reason?.message || String(reason);
       const errObj = {
         timestamp,
+        run_id: runId,
         symbol: asset?.symbol || "UNKNOWN",
         strategy: null,
         model: asset?.model || null,
+        prompt: asset ? signalPromptRef(asset) : null,
         version: asset?.version || null,
         signal: "LONG_CASH",
         explanation: `Data fetch/feature error for ${asset?.symbol || "UNKNOWN"}: ${msg}`.slice(0, 600),
         error: { message: msg, stack: reason?.stack || null }
       };
-      appendNdjson(logPath, errObj);
-      console.error(errObj.explanation);
+      store.append("signals", errObj);
+      log.error(errObj.explanation, { symbol: errObj.symbol });
       continue;
     }
 
@@ -363,17 +811,20 @@ async function runOnce({ runType }) {
   // Avoid hammering Trends on --run-now unless explicitly enabled.
   const enableTrends = envBool("ENABLE_GOOGLE_TRENDS", false) || scheduled;
   if (enableTrends) {
-    const trendJobs = marketList.map(async (asset) => {
+    for (const a of marketList) trendsBySymbol.set(a.symbol, null);
+    const trendJobs = marketList.filter((a) => anyUses("trends", a.symbol)).map(async (asset) => {
       const keyword = asset.googleTrendsKeyword || trendsKeywordFor(asset.symbol);
       try {
-        const t = await fetchGoogleTrends({ keyword, geo: String(process.env.GOOGLE_TRENDS_GEO || "") });
+        const t = await fetchProvider(summary, "google_trends", asset.symbol, () =>
+          fetchGoogleTrends({ keyword, geo: String(process.env.GOOGLE_TRENDS_GEO || "") })
+        );
         trendsBySymbol.set(asset.symbol, sanitizeTrends(t));
       } catch {
         trendsBySymbol.set(asset.symbol, null);
       }
     });
     await Promise.allSettled(trendJobs);
-    console.log(`[${timestamp}] Google Trends: ${scheduled ? "scheduled" : "manual"} fetch ${enableTrends ? "enabled" : "disabled"}`);
+    log.info("Google Trends fetch enabled", { trigger: scheduled ? "scheduled" : "ENABLE_GOOGLE_TRENDS" });
   } else {
     for (const a of marketList) trendsBySymbol.set(a.symbol, null);
   }
@@ -384,6 +835,11 @@ async function runOnce({ runType }) {
   const derivAppendDone = new Set();
 
   for (const asset of marketList) {
+    if (!anyUses("derivatives", asset.symbol)) {
+      derivativesBySymbol.set(asset.symbol, null);
+      derivativesOkBySymbol.set(asset.symbol, false);
+      continue;
+    }
     let derivativesRaw = null;
     let derivativesOk = false;
     try {
@@ -393,20 +849,21 @@ async function runOnce({ runType }) {
         bSym = asset.derivativesProxySymbol;
         derivSource = `proxy:${asset.derivativesProxySymbol}`;
       }
-      if (!bSym) throw new Error("Missing derivatives symbol (binanceSymbol/proxy)");
-
-      derivativesRaw = await fetchDerivativesSnapshot({ symbol: bSym });
+      derivativesRaw = await fetchProvider(summary, "kraken_futures", asset.symbol, () => {
+        if (!bSym) throw new Error("Missing derivatives symbol (binanceSymbol/proxy)");
+        return fetchDerivativesSnapshot({ symbol: bSym });
+      });
       derivativesRaw._source = derivSource;
       derivativesOk = true;
-      console.log(`[${timestamp}] Derivatives fetch ${asset.symbol}: OK (${bSym}) source=${derivativesRaw?._source || asset.symbol}`);
+      log.info("Derivatives fetch: OK", { symbol: asset.symbol, market: bSym, source: derivativesRaw?._source || asset.symbol });
     } catch (e) {
       derivativesRaw = null;
       derivativesOk = false;
-      console.warn(`[${timestamp}] Derivatives fetch ${asset.symbol}: FAIL - ${String(e.message || e)}`);
+      log.warn("Derivatives fetch: FAIL", { symbol: asset.symbol, error: String(e.message || e) });
     }
 
     if (derivativesRaw) {
-      const hist = getLastNBySymbol(derivHistRecords, asset.symbol, 8); // up to ~7d + today
+      const hist = store.read("derivatives_history", { symbol: asset.symbol, limit: 8 }); // up to ~7d + today
       const last = hist.length ? hist[hist.length - 1] : null;
       const last7 = hist.length >= 7 ? hist[hist.length - 7] : null;
 
@@ -419,9 +876,9 @@ async function runOnce({ runType }) {
       derivativesRaw.pricing.basis_change_1d = last?.basis != null ? (basisNow != null ? basisNow - last.basis : null) : null;
       derivativesRaw.pricing.basis_change_7d = last7?.basis != null ? (basisNow != null ? basisNow - last7.basis : null) : null;
 
-      if (scheduled && !derivAppendDone.has(asset.symbol)) {
+      if (scheduled && !derivAppendDone.has(asset.symbol) && !sameLocalDay(last?.timestamp, timestamp)) {
         derivAppendDone.add(asset.symbol);
-        appendNdjsonLine(derivHistPath, {
+        store.append("derivatives_history", {
           timestamp,
           symbol: asset.symbol,
           oi: oiNow,
@@ -434,23 +891,76 @@ async function runOnce({ runType }) {
     derivativesOkBySymbol.set(asset.symbol, derivativesOk);
   }
 
-  const context = buildContext({ rebalanceTimeLocal: "12:00 Europe/Paris" });
   const nSignalsFeedback = Math.max(0, Number(process.env.N_SIGNALS_FEEDBACK || 0));
-  const debugSignalsFeedback = envBool("DEBUG_SIGNALS_FEEDBACK", false);
-  const chain = (shouldSendToChain || nSignalsFeedback > 0) ? buildChainClient() : null;
+  const wantsFeedback = nSignalsFeedback > 0 && anyUses("previous_signals");
+  const chain = (shouldSendToChain || wantsFeedback) ? postingChainClient() : null;
+
+  const postStates = scheduled ? journal.postStates() : new Map();
+
+  const featuresFor = (strategy) =>
+    selectFeatures(strategy, {
+      asset: sanitizeFeatures(featuresBySymbol.get(strategy.symbol) || null),
+      btc_regime:
+        String(INCLUDE_BTC_REGIME).toLowerCase() === "true" && strategy.type === "crypto" && strategy.symbol !== "BTC" ? btc : null,
+      macro,
+      derivatives: derivativesBySymbol.get(strategy.symbol),
+      sentiment,
+      trends: trendsBySymbol.get(strategy.symbol)
+    });
+
+  // Asked once, by the first member that needs a decision; members without market data sit out.
+  const portfolioMembers = runStrategies.filter((s) => s.portfolio && hasMarketData(featuresBySymbol.get(s.symbol)));
+  let portfolioRun = null;
+  const portfolioDecision = async (symbol) => {
+    portfolioRun ??= decidePortfolio(portfolioMembers, featuresFor, {
+      refresh: scheduled,
+      held: scheduled ? portfolioHeldExposure(portfolioMembers, postStates) : 0
+    });
+    return (await portfolioRun).get(symbol);
+  };
 
-  for (const strategy of strategies) {
+  for (const strategy of runStrategies) {
     const symbol = strategy.symbol;
+    const strategyName = buildStrategyName(strategy, runType);
+    bindLogContext({ strategy: strategyName, symbol });
+    const idempotencyKey = scheduled ? `${strategyName}@${localDateIn(strategy.timezone)}` : null;
+    if (idempotencyKey && postStates.get(idempotencyKey) === "posted") {
+      journal.record("strategy_skipped", { run_id: runId, key: idempotencyKey, reason: "already posted (journal)" });
+      log.info("Already posted today; skipping", { key: idempotencyKey });
+      summary.count("skipped");
+      continue;
+    }
+    // A crash between broadcast and journal write leaves no "posted" entry: the chain is the source of
+    // truth then. Checked before the decision, so a retried run neither calls the model nor notifies twice.
+    let chainCheckError = null;
+    if (idempotencyKey && chain) {
+      if (postStates.get(idempotencyKey) === "pending") {
+        log.warn("Previous post never completed; checking chain", { key: idempotencyKey });
+      }
+      try {
+        if (await postedOnChainToday(chain, strategyName, strategy.timezone)) {
+          journal.record("post_skipped", { run_id: runId, key: idempotencyKey, reason: "already on-chain" });
+          log.info("Signal already on-chain for today; not posting again", { key: idempotencyKey });
+          summary.count("skipped");
+          continue;
+        }
+      } catch (e) {
+        // Without the check a post could be a duplicate, so the post step fails instead.
+        chainCheckError = e;
+      }
+    }
+    const context = contextFor(strategy);
     const features = featuresBySymbol.get(symbol) || null;
 
     // Basic validity check
-    const hasPrice = typeof features?.price === "number" && isFinite(features.price);
-    if (!hasPrice || !features?.meta?.lastDailyTs) {
+    if (!hasMarketData(features)) {
       const obj = {
         timestamp,
+        run_id: runId,
         symbol,
-        strategy: buildStrategyName(strategy, runType),
-        model: strategy.model,
+        strategy: strategyName,
+        model: signalBackend(strategy).model,
+        prompt: signalPromptRef(strategy),
         version: strategy.version,
         chain_asset: strategy.chainAsset,
         run_type: runType,
@@ -458,8 +968,10 @@ async function runOnce({ runType }) {
         explanation: "Insufficient or missing market data from provider; defaulting to cash.",
         features: sanitizeFeatures(features)
       };
-      appendNdjson(logPath, obj);
-      console.warn(`[${timestamp}] ${symbol}: insufficient market data (logged sanitized features)`);
+      store.append("signals", obj);
+      log.warn("Insufficient market data (logged sanitized features)");
+      summary.count("decided");
+      summary.count("fell_back_to_cash");
       continue;
     }
 
@@ -469,38 +981,24 @@ async function runOnce({ runType }) {
 // Optional: include the last N on-chain signals produced by this bot for this strategy,
 // so the model can avoid repeating itself and can say "nothing changed" when appropriate.
 let feedbackSignals = [];
-if (chain && nSignalsFeedback > 0) {
+if (chain && nSignalsFeedback > 0 && usesBlock(strategy, "previous_signals")) {
   try {
-    const strategyNameForFeedback = buildStrategyName(strategy, runType);
+    feedbackLog.debug("Fetching previous signals from chain", { n: nSignalsFeedback });
 
-    if (debugSignalsFeedback) {
-      console.log(
-        `[DEBUG][signals-feedback] Fetching last ${nSignalsFeedback} signals from chain for strategy="${strategyNameForFeedback}"...`
-      );
-    }
-
-    const raw = await chain.getRecentSignalsForStrategy({ strategyName: strategyNameForFeedback, n: nSignalsFeedback });
+    const raw = await chain.getRecentSignalsForStrategy({ strategyName, n: nSignalsFeedback });
 
-    if (debugSignalsFeedback) {
-      console.log(`[DEBUG][signals-feedback] Raw signals returned: ${raw.length}`);
-    }
+    feedbackLog.debug("Raw signals returned", { count: raw.length });
 
     feedbackSignals = raw.map((s) => {
-      const isCash = String(s.asset || "").toUpperCase() === "USD" && Number(s.target) === 0;
-      const signal = isCash ? "LONG_CASH" : (Number(s.target) === 1 ? "SHORT_ASSET" : "LONG_ASSET");
-      const iso = s.timestamp ? new Date(Number(s.timestamp) * 1000).toISOString() : null;
-      return { timestamp: iso, signal, explanation: String(s.message || "").trim() };
+      const { timestamp: iso, signal, explanation } = chainSignalToDecision(s);
+      return { timestamp: iso, signal, explanation };
     });
 
-    if (debugSignalsFeedback) {
-      console.log(`[DEBUG][signals-feedback] Mapped previous_signals (${feedbackSignals.length}):`, feedbackSignals);
-    }
+    feedbackLog.debug("Mapped previous_signals", { count: feedbackSignals.length, previous_signals: feedbackSignals });
   } catch (e) {
     // If the chain read fails, we simply proceed without feedback.
     feedbackSignals = [];
-    if (debugSignalsFeedback) {
-      console.warn(`[DEBUG][signals-feedback] Failed to load previous signals: ${String(e?.message || e)}`);
-    }
+    feedbackLog.warn("Failed to load previous signals", { error: String(e?.message || e) });
   }
 }
 
@@ -508,64 +1006,170 @@ if (chain && nSignalsFeedback > 0) {
 
     const payload = {
       symbol,
-      features: {
-        asset: sanitizeFeatures(features),
-        ...(String(INCLUDE_BTC_REGIME).toLowerCase() === "true" && strategy.type === "crypto" && btc && symbol !== "BTC" ? { btc_regime: btc } : {}),
-        ...(macro ? { macro } : {}),
-        ...(derivativesBySymbol.get(symbol) ? { derivatives: derivativesBySymbol.get(symbol) } : {}),
-        ...(sentiment ? { sentiment } : {}),
-        ...(trendsBySymbol.get(symbol) ? { trends: trendsBySymbol.get(symbol) } : {})
-      },
+      features: featuresFor(strategy),
       context: {
         ...context,
-        previous_signals: feedbackSignals
+        ...(usesBlock(strategy, "previous_signals") ? { previous_signals: feedbackSignals } : {})
       }
     };
 
+    const fallback = () =>
+      fallbackDecision({
+        mode: strategy.fallback,
+        asset: sanitizeFeatures(features),
+        previousSignals: feedbackSignals.length ? feedbackSignals : loggedSignals(strategyName),
+        allowedPositions: strategy.allowedPositions
+      });
+
     let decision;
     let aiError = null;
-    try {
-      decision = await getAi(strategy.model).decideSignal(payload);
-    } catch (e) {
-      aiError = String(e?.message || e);
-      // Never write raw provider errors on-chain. If the model is unavailable, fall back safely.
-      decision = {
-        signal: "LONG_CASH",
-        explanation: "Defaulting to cash (AI unavailable)."
-      };
+    let failedUsage = null;
+    const budget = strategy.budget
+      ? budgetStatus({ budget: strategy.budget, records: strategySpendRecords(strategy), timezone: strategy.timezone })
+      : null;
+    if (budget?.exceeded) {
+      decision = fallback();
+      log.warn("Model budget exhausted, using fallback", { fallback: decision.fallback, ...budget });
+    } else {
+      try {
+        // Scheduled runs post on-chain: always a fresh answer (it still refreshes the cache entry).
+        decision = strategy.portfolio
+          ? await portfolioDecision(symbol)
+          : await decideForStrategy(strategy, payload, { refresh: scheduled });
+      } catch (e) {
+        aiError = String(e?.message || e);
+        failedUsage = failedUsageOf(e);
+        // Never write raw provider errors on-chain. If the model is unavailable, fall back deterministically.
+        decision = fallback();
+        log.warn("AI unavailable, using fallback", { fallback: decision.fallback, error: aiError.slice(0, 300) });
+        summary.addError();
+      }
     }
+    const usage = decision.fallback ? failedUsage : usageOf(decision);
+    if (usage?.cost_usd) llmCost.inc({ strategy: strategyName }, usage.cost_usd);
+
+    // null = block not requested by this strategy (or not applicable this run)
+    const btcApplies = String(INCLUDE_BTC_REGIME).toLowerCase() === "true" && strategy.type === "crypto" && symbol !== "BTC";
+    const dataStatus = {
+      macro: usesBlock(strategy, "macro") ? macroOk : null,
+      derivatives: usesBlock(strategy, "derivatives") ? derivativesOkBySymbol.get(symbol) ?? false : null,
+      btc_regime: usesBlock(strategy, "btc_regime") && btcApplies ? Boolean(btc) : null,
+      sentiment: usesBlock(strategy, "sentiment") ? sentimentOk : null,
+      trends: usesBlock(strategy, "trends") && enableTrends ? Boolean(trendsBySymbol.get(symbol)) : null
+    };
 
-const record = {
+    const history = loggedSignals(strategyName);
+    const modelDecision = decision;
+    const guarded = applyRiskPolicy({
+      policy: strategy.risk,
+      decision,
+      history,
+      asset: sanitizeFeatures(features),
+      dataStatus
+    });
+    decision = guarded.decision;
+    for (const o of guarded.overrides) {
+      log.warn("Risk rule overrode decision", o);
+    }
+
+    const record = {
       timestamp,
+      run_id: runId,
       symbol,
-      strategy: buildStrategyName(strategy, runType),
-      model: strategy.model,
+      strategy: strategyName,
+      ...signalBackend(strategy),
+      prompt: signalPromptRef(strategy),
       version: strategy.version,
       chain_asset: strategy.chainAsset,
       run_type: runType,
+      ...(idempotencyKey ? { idempotency_key: idempotencyKey } : {}),
       signal: decision.signal,
       explanation: tidyExplanation(decision.explanation),
+      decision_source: decision.fallback ? "fallback" : decision.ensemble ? "ensemble" : decision.portfolio ? "portfolio" : "ai",
+      ...(decision.fallback ? { fallback: decision.fallback } : {}),
+      confidence: decision.confidence ?? null,
+      // A risk override replaces the allocation, so its weight no longer applies.
+      sizing:
+        decision.portfolio && !guarded.overrides.length
+          ? portfolioPositionSize(decision.signal, decision.portfolio.weight)
+          : positionSize(strategy, decision.signal, decision.confidence),
+      ...(decision.ensemble ? { ensemble: decision.ensemble } : {}),
+      ...(modelDecision.portfolio ? { portfolio: modelDecision.portfolio } : {}),
       ai_error: aiError,
-      data_status: {
-        macro: macroOk,
-        derivatives: derivativesOkBySymbol.get(symbol) ?? false,
-        btc_regime: Boolean(btc),
-        sentiment: sentimentOk,
-        trends: Boolean(trendsBySymbol.get(symbol))
-      },
+      ...(usage ? { usage } : {}),
+      ...(modelDecision.cache ? { decision_cache: modelDecision.cache } : {}),
+      ...(modelDecision.explanation_check ? { explanation_check: modelDecision.explanation_check } : {}),
+      ...(budget?.exceeded ? { budget_exceeded: { period: budget.period, spent_usd: budget.spent_usd, cap_usd: budget.cap_usd } } : {}),
+      ...(guarded.overrides.length
+        ? {
+            risk_overrides: guarded.overrides,
+            original_decision: {
+              signal: modelDecision.signal,
+              explanation: tidyExplanation(modelDecision.explanation),
+              confidence: modelDecision.confidence ?? null
+            }
+          }
+        : {}),
+      data_status: dataStatus,
       features: payload.features
     };
 
-    appendNdjson(logPath, record);
-    console.log(`[${timestamp}] ${record.strategy}: ${decision.signal} — ${record.explanation}`);
+    store.append("signals", record);
+    summary.count("decided");
+    if (modelDecision.cache?.hit || modelDecision.ensemble?.votes.some((v) => v.cache?.hit)) summary.count("cache_hits");
+    if (record.decision_source === "fallback") {
+      summary.count("fallbacks");
+      if (record.signal === "LONG_CASH") summary.count("fell_back_to_cash");
+    }
+    log.info(`${decision.signal} — ${record.explanation}`, {
+      source: record.decision_source,
+      confidence: record.confidence,
+      ...(record.portfolio ? { weight: record.portfolio.weight } : {}),
+      ...(modelDecision.cache?.hit ? { cached_at: modelDecision.cache.cached_at } : {}),
+      tokens_in: usage?.input_tokens,
+      tokens_out: usage?.output_tokens,
+      cost_usd: usage?.cost_usd
+    });
+    if (modelDecision.explanation_check?.issues.length) {
+      log.warn("Explanation still breaks on-chain rules after re-asks; tidied instead", modelDecision.explanation_check);
+    }
+    if (usage?.unpriced_models) {
+      log.warn("No price for model; spend not counted against budgets (set OPENAI_PRICES)", { models: usage.unpriced_models });
+    }
+
+    const notice = {
+      run_id: runId,
+      run_type: runType,
+      strategy: strategyName,
+      symbol,
+      signal: record.signal,
+      explanation: record.explanation,
+      confidence: record.confidence,
+      decision_source: record.decision_source
+    };
+    await notifier.notify("signal", notice);
+    const previousSignal = history.length ? history[history.length - 1].signal : null;
+    if (previousSignal && previousSignal !== record.signal) {
+      await notifier.notify("signal_change", { ...notice, previous_signal: previousSignal });
+    }
 
+    let postFailed = false;
     if (shouldSendToChain && chain) {
       try {
-        const strategyName = buildStrategyName(strategy, runType);
         const chainMapped = mapDecisionToChain(decision.signal, strategy.chainAsset);
-        console.log(
-          `[${timestamp}] Sending on-chain... strategy="${strategyName}" asset=${chainMapped.asset} target=${chainMapped.target}`
-        );
+
+        if (chainCheckError) throw chainCheckError;
+        if (idempotencyKey) {
+          journal.record("post_intent", {
+            run_id: runId,
+            key: idempotencyKey,
+            asset: chainMapped.asset,
+            target: chainMapped.target
+          });
+        }
+
+        const { weight, leverage } = record.sizing;
+        log.info("Sending on-chain...", { asset: chainMapped.asset, target: chainMapped.target, weight, leverage });
 
         // Optional progress logs (off by default).
         const showProgress = envBool("CHAIN_SHOW_PROGRESS", false) || envBool("CHAIN_WAIT_FOR_RECEIPT", false);
@@ -574,7 +1178,7 @@ const record = {
           ? setInterval(() => {
               ticks += 1;
               if (ticks <= 60) {
-                console.log(`[${nowIsoWithOffset()}] ... still waiting for RPC / confirmation (${ticks * 2}s)`);
+                log.info("... still waiting for RPC / confirmation", { waited_s: ticks * 2 });
               }
             }, 2000)
           : null;
@@ -589,8 +1193,8 @@ const record = {
               asset: chainMapped.asset,
               message: record.explanation,
               target: chainMapped.target,
-              leverage: 1,
-              weight: 100
+              leverage,
+              weight
             }),
             new Promise((_, reject) =>
               setTimeout(() => reject(new Error(`On-chain send timed out after ${sendTimeoutMs}ms`)), sendTimeoutMs)
@@ -599,32 +1203,65 @@ const record = {
         } finally {
           if (timer) clearInterval(timer);
         }
-        const url = txUrl(tx.hash);
+        const txHash = tx.hash ?? tx.txHash;
+        const url = txUrl(txHash);
         const receiptStatus = tx.receipt?.status ? Number(BigInt(tx.receipt.status)) : null;
+        const postStatus = tx.receipt ? (receiptStatus === 1 ? "success" : "revert") : tx.seenTx ? "broadcast" : "unconfirmed";
+        if (idempotencyKey) {
+          journal.record("post_done", { run_id: runId, key: idempotencyKey, tx_hash: txHash, status: postStatus });
+        }
         const gasGwei = tx.gasPriceWei ? Number(tx.gasPriceWei) / 1e9 : null;
+        const txFields = {
+          asset: chainMapped.asset,
+          target: chainMapped.target,
+          tx: txHash,
+          gas_price_gwei: gasGwei ? Number(gasGwei.toFixed(0)) : null,
+          url
+        };
         if (tx.receipt) {
-          const ok = receiptStatus === 1;
-          console.log(
-            `[${timestamp}] Posted on-chain (mined): ${strategyName} asset=${chainMapped.asset} target=${chainMapped.target} tx=${tx.hash} status=${ok ? "SUCCESS" : "REVERT"}${gasGwei ? ` gasPrice≈${gasGwei.toFixed(0)} gwei` : ""} ${url}`
-          );
+          log.info("Posted on-chain (mined)", { ...txFields, status: receiptStatus === 1 ? "SUCCESS" : "REVERT" });
         } else if (tx.seenTx) {
-          console.log(
-            `[${timestamp}] Posted on-chain (broadcast): ${strategyName} asset=${chainMapped.asset} target=${chainMapped.target} tx=${tx.hash} (not mined yet)${gasGwei ? ` gasPrice≈${gasGwei.toFixed(0)} gwei` : ""} ${url}`
-          );
+          log.info("Posted on-chain (broadcast, not mined yet)", txFields);
         } else {
-          console.warn(
-            `[${timestamp}] Posted on-chain (unconfirmed): ${strategyName} tx=${tx.hash} — RPC returned a hash but the tx is not queryable yet. It was likely dropped by the node. Try raising CHAIN_GAS_PRICE_MULTIPLIER or CHAIN_MAX_GAS_PRICE_GWEI.${gasGwei ? ` last gasPrice≈${gasGwei.toFixed(0)} gwei` : ""} ${url}`
+          log.warn(
+            "Posted on-chain (unconfirmed): RPC returned a hash but the tx is not queryable yet. It was likely dropped by the node. Try raising CHAIN_GAS_PRICE_MULTIPLIER or CHAIN_MAX_GAS_PRICE_GWEI.",
+            txFields
           );
         }
+        chainPosts.inc({ strategy: strategyName, status: postStatus });
+        if (gasGwei) gasPriceGwei.set({ strategy: strategyName }, gasGwei);
+        postFailed = postStatus === "revert" || postStatus === "unconfirmed";
+        if (postFailed) {
+          summary.count("post_failed");
+          summary.addError();
+        } else {
+          summary.count("posted");
+        }
+        await notifier.notify(`post_${postStatus}`, {
+          ...notice,
+          asset: chainMapped.asset,
+          target: chainMapped.target,
+          weight,
+          leverage,
+          tx_hash: txHash,
+          tx_url: url
+        });
       } catch (e) {
         const msg = String(e.message || e);
-        const strategyName = buildStrategyName(strategy, runType);
-        console.error(`[${timestamp}] On-chain post failed for ${symbol} (${strategyName}): ${msg}`);
-        appendNdjson(logPath, {
+        log.error("On-chain post failed", { error: msg });
+        if (idempotencyKey) journal.record("post_failed", { run_id: runId, key: idempotencyKey, error: msg.slice(0, 800) });
+        chainPosts.inc({ strategy: strategyName, status: "failed" });
+        postFailed = true;
+        summary.count("post_failed");
+        summary.addError();
+        await notifier.notify("post_failed", { ...notice, error: msg.slice(0, 800) });
+        store.append("signals", {
           timestamp,
+          run_id: runId,
           symbol,
           strategy: strategyName,
-          model: strategy.model,
+          model: signalBackend(strategy).model,
+          prompt: record.prompt,
           version: strategy.version,
           chain_asset: strategy.chainAsset,
           run_type: runType,
@@ -634,38 +1271,695 @@ const record = {
         });
       }
     }
+
+    decisionsTotal.inc({ strategy: strategyName, source: record.decision_source });
+    if (!postFailed && record.decision_source !== "fallback") {
+      lastSuccessfulRun.set({ strategy: strategyName, run_type: runType }, Date.now() / 1000);
+    }
+  }
+
+  if (shouldSendToChain && chain) {
+    try {
+      walletBalance.set({}, Number(await chain.getWalletBalanceWei()) / 1e18);
+    } catch (e) {
+      log.warn("Wallet balance check failed", { error: String(e?.message || e) });
+    }
+  }
+}
+
+// -------------------------
+// Paper performance ledger
+// -------------------------
+
+async function updatePerformanceLedger() {
+  const records = store.read("signals");
+  const existing = readNdjson(performancePath);
+
+  const symbols = new Set();
+  for (const signals of scheduledSignalsByStrategy(records).values()) {
+    for (const s of signals) if (marketAssets.has(s.symbol)) symbols.add(s.symbol);
+  }
+
+  const seriesBySymbol = new Map();
+  for (const symbol of symbols) {
+    try {
+      const series = await fetchPriceSeries({
+        apiKey: cgKey,
+        id: marketAssets.get(symbol).coingeckoId,
+        vsCurrency: VS_CURRENCY,
+        daysDaily: 365,
+        daysHourly: 90,
+        apiBase: COINGECKO_API_BASE
+      });
+      seriesBySymbol.set(symbol, series);
+    } catch (e) {
+      performanceLog.warn("Price fetch: FAIL", { symbol, error: String(e.message || e) });
+    }
+  }
+
+  // Positions are scored up to the strategy's next rebalance, not to whenever it next posted.
+  const scheduledByName = new Map(strategies.map((s) => [buildStrategyName(s, "scheduled"), s]));
+  const exitAt = (signal) => {
+    const s = scheduledByName.get(signal.strategy);
+    return s ? nextFireMs(s.cron, s.timezone, signal.ts) : null;
+  };
+  const ledger = buildLedger({ records, seriesBySymbol, existing, exitAt });
+  writeNdjson(performancePath, ledger);
+  return ledger;
+}
+
+async function runPerformanceCommand() {
+  const ledger = await updatePerformanceLedger();
+  const latest = new Map();
+  for (const row of ledger) latest.set(row.strategy, row);
+  for (const row of latest.values()) {
+    const days = ledger.filter((r) => r.strategy === row.strategy).length;
+    performanceLog.info(row.strategy, {
+      days,
+      cumulative: fmtPct(row.cumulative_return),
+      sharpe30d: fmtNum(row.sharpe_30d),
+      sharpe90d: fmtNum(row.sharpe_90d),
+      position: row.signal
+    });
   }
+  performanceLog.info("Ledger written", { path: performancePath, rows: ledger.length });
 }
 
+// -------------------------
+// Storage migration
+// -------------------------
+
+// Imports the NDJSON logs of LOG_DIR into the SQLite database (STORAGE_SQLITE_PATH).
+function runMigrateStorageCommand(args) {
+  const { values } = parseFlags(args, { replace: { type: "boolean" } });
+  const target = new SqliteStore({ file: sqlitePath });
+  try {
+    const report = migrateNdjsonToSqlite({ dir: logDirAbs, store: target, replace: Boolean(values.replace) });
+    for (const r of report) storageLog.info(r.collection, { imported: r.imported, skipped: r.skipped, file: r.file });
+    storageLog.info("Migration done; set STORAGE_BACKEND=sqlite to use it", { database: sqlitePath });
+  } finally {
+    target.close();
+  }
+}
+
+// -------------------------
+// Inspection commands (signals, strategies, chain)
+// -------------------------
+
+function printTable(rows, columns) {
+  const cell = (row, col) => {
+    const v = row[col.key] === null || row[col.key] === undefined ? "" : String(row[col.key]);
+    return col.max && v.length > col.max ? `${v.slice(0, col.max - 1)}…` : v;
+  };
+  const widths = columns.map((c) => Math.max(c.title.length, ...rows.map((r) => cell(r, c).length)));
+  const line = (cells) => cells.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+  const lines = [line(columns.map((c) => c.title)), ...rows.map((r) => line(columns.map((c) => cell(r, c))))];
+  process.stdout.write(`${lines.join("\n")}\n`);
+}
+
+function printNdjson(rows) {
+  process.stdout.write(rows.map((r) => `${JSON.stringify(r)}\n`).join(""));
+}
+
+function positiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${flag} must be a positive integer`);
+  return n;
+}
+
+function runSignalsCommand(args) {
+  const [sub = "list", ...rest] = args;
+  if (sub !== "list" && sub !== "show") throw new Error(`Unknown signals subcommand: ${sub} (expected list|show)`);
+  const { values, positionals } = parseFlags(
+    rest,
+    {
+      strategy: { type: "string" },
+      symbol: { type: "string" },
+      "run-id": { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      limit: { type: "string", default: "20" },
+      json: { type: "boolean" }
+    },
+    { positionals: sub === "show" }
+  );
+  const from = parseTimeParam(values.from);
+  const to = parseTimeParam(values.to, { endOfDay: true });
+  if (Number.isNaN(from) || Number.isNaN(to)) throw new Error("--from/--to must be ISO dates or datetimes");
+  const runId = positionals[0] ?? values["run-id"];
+
+  const records = store
+    .read("signals", {
+      ...(values.strategy ? { strategy: values.strategy } : {}),
+      ...(values.symbol ? { symbol: values.symbol.toUpperCase() } : {}),
+      ...(runId ? { runId } : {})
+    })
+    .filter((r) => {
+      const ts = Date.parse(r.timestamp);
+      return (from === null || ts >= from) && (to === null || ts <= to);
+    });
+
+  if (sub === "show") {
+    const shown = runId ? records : records.slice(-1);
+    if (!shown.length) throw new Error("No matching signal record");
+    process.stdout.write(`${JSON.stringify(shown.length === 1 ? shown[0] : shown, null, 2)}\n`);
+    return;
+  }
+
+  const rows = records.slice(-positiveInt(values.limit, "--limit"));
+  if (values.json) return printNdjson(rows);
+  printTable(
+    rows.map((r) => ({
+      ...r,
+      source: r.chain_error ? "chain_error" : r.decision_source ?? (r.error ? "error" : ""),
+      confidence: typeof r.confidence === "number" ? r.confidence.toFixed(2) : "",
+      note: r.chain_error || r.explanation
+    })),
+    [
+      { key: "timestamp", title: "TIMESTAMP" },
+      { key: "strategy", title: "STRATEGY" },
+      { key: "signal", title: "SIGNAL" },
+      { key: "source", title: "SOURCE" },
+      { key: "confidence", title: "CONF" },
+      { key: "run_id", title: "RUN", max: 8 },
+      { key: "note", title: "EXPLANATION", max: 80 }
+    ]
+  );
+}
+
+function runStrategiesCommand(args) {
+  const [sub = "names", ...rest] = args;
+  if (sub !== "validate" && sub !== "names") throw new Error(`Unknown strategies subcommand: ${sub} (expected validate|names)`);
+  const { values } = parseFlags(rest, { json: { type: "boolean" } });
+  const config = loadStrategies();
+
+  if (sub === "validate") {
+    process.stdout.write(`${config.path}: OK (${config.strategies.length} strategies)\n`);
+    return;
+  }
+
+  const rows = config.strategies.map((s) => ({
+    name: buildStrategyName(s, "scheduled"),
+    test_name: buildStrategyName(s, "manual"),
+    symbol: s.symbol,
+    provider: s.provider,
+    models: (s.ensemble?.models || [s.model]).join(","),
+    prompt: s.prompt,
+    cron: s.cron,
+    timezone: s.timezone
+  }));
+  if (values.json) return printNdjson(rows);
+  printTable(rows, [
+    { key: "name", title: "ON-CHAIN NAME" },
+    { key: "test_name", title: "TEST NAME" },
+    { key: "symbol", title: "SYMBOL" },
+    { key: "provider", title: "PROVIDER" },
+    { key: "models", title: "MODELS" },
+    { key: "prompt", title: "PROMPT" },
+    { key: "cron", title: "CRON" },
+    { key: "timezone", title: "TIMEZONE" }
+  ]);
+}
+
+async function runChainCommand(args) {
+  const [sub, ...rest] = args;
+  if (sub !== "history") throw new Error(`Unknown chain subcommand: ${sub ?? "(none)"} (expected history)`);
+  const { values } = parseFlags(rest, {
+    strategy: { type: "string" },
+    n: { type: "string", default: "10" },
+    trader: { type: "string" },
+    json: { type: "boolean" }
+  });
+  if (!values.strategy) throw new Error('chain history requires --strategy "<on-chain name>" (see `strategies names`)');
+
+  if (!values.trader && !DEPLOYER_PK) throw new Error("chain history requires --trader <address> when DEPLOYER_PK is not set");
+
+  // Read-only: no signer needed (the trader defaults to the DEPLOYER_PK wallet when it is set).
+  const chain = buildChainClient({ readOnly: true });
+  const raw = await chain.getRecentSignalsForStrategy({
+    strategyName: values.strategy,
+    n: positiveInt(values.n, "--n"),
+    trader: values.trader
+  });
+  const rows = raw.map((s) => {
+    const { timestamp, signal, explanation } = chainSignalToDecision(s);
+    return { id: s.id, timestamp, signal, asset: s.asset, weight: s.weight, leverage: s.leverage, explanation };
+  });
+  if (values.json) return printNdjson(rows);
+  if (!rows.length) {
+    process.stdout.write(`No on-chain signals for "${values.strategy}"\n`);
+    return;
+  }
+  printTable(rows, [
+    { key: "id", title: "ID" },
+    { key: "timestamp", title: "TIMESTAMP" },
+    { key: "signal", title: "SIGNAL" },
+    { key: "asset", title: "ASSET" },
+    { key: "weight", title: "WEIGHT" },
+    { key: "leverage", title: "LEV" },
+    { key: "explanation", title: "MESSAGE", max: 80 }
+  ]);
+}
+
+// In-process run state (exposed by the HTTP API). Several schedules may run concurrently.
+const runState = { startedAt: nowIsoWithOffset(), active: new Map(), last: null };
+
+async function executeRun({ runType, runId = newRunId(), strategies: runStrategies = strategies }) {
+  const info = {
+    run_id: runId,
+    run_type: runType,
+    started_at: nowIsoWithOffset(),
+    strategies: runStrategies.map((s) => buildStrategyName(s, runType))
+  };
+  runState.active.set(runId, info);
+  journal.record("run_start", { run_id: runId, run_type: runType, strategies: info.strategies });
+  let error = null;
+  try {
+    await runOnce({ runType, runId, strategies: runStrategies });
+  } catch (e) {
+    error = String(e?.message || e);
+    throw e;
+  } finally {
+    runState.last = { ...info, finished_at: nowIsoWithOffset(), error };
+    runState.active.delete(runId);
+    journal.record("run_end", { run_id: runId, run_type: runType, error });
+    if (pendingStrategies && !runState.active.size) applyStrategies(pendingStrategies);
+  }
+}
+
+// One cron job per distinct (cron, timezone) pair, each running only its own strategies.
+function scheduleGroups() {
+  const groups = new Map();
+  for (const s of strategies) {
+    const key = `${s.cron}|${s.timezone}`;
+    if (!groups.has(key)) groups.set(key, { key, cron: s.cron, timezone: s.timezone, strategies: [] });
+    groups.get(key).strategies.push(s);
+  }
+  return Array.from(groups.values());
+}
+
+// key -> { task, group }; the callback reads entry.group, so a reload can swap strategies in place.
+const scheduledTasks = new Map();
+
+// Idempotent: (re)aligns cron jobs with the current strategies, stopping schedules nobody uses anymore.
 function schedule() {
-  cron.schedule(
-    CRON_EXPR,
-    async () => {
-      try {
-        await runOnce({ runType: "scheduled" });
-      } catch (e) {
-        const timestamp = nowIsoWithOffset();
-        const obj = {
-          timestamp,
-          symbol: "SYSTEM",
-          strategy: "SYSTEM",
-          run_type: "scheduled",
-          signal: "LONG_CASH",
-          explanation: `Scheduled run error: ${String(e.message || e)}`.slice(0, 600)
-        };
-        appendNdjson(logPath, obj);
-        console.error(obj.explanation);
-      }
+  const groups = scheduleGroups();
+  for (const group of groups) {
+    const entry = scheduledTasks.get(group.key);
+    if (entry) entry.group = group;
+    else scheduledTasks.set(group.key, scheduleGroup(group));
+  }
+  for (const [key, entry] of scheduledTasks) {
+    if (groups.some((g) => g.key === key)) continue;
+    entry.task.stop();
+    scheduledTasks.delete(key);
+    schedulerLog.info("Scheduler stopped", { cron: entry.group.cron, timezone: entry.group.timezone });
+  }
+}
+
+// One scheduled pass over a group (cron tick or startup catch-up). `runStrategies` defaults to the whole group.
+async function runScheduledGroup(group, { runId = newRunId(), runStrategies = group.strategies } = {}) {
+  const lock = journal.acquireLock(`scheduled-${group.cron}-${group.timezone}`, runId);
+  if (!lock) {
+    journal.record("run_skipped", { run_id: runId, run_type: "scheduled", reason: "lock held" });
+    schedulerLog.warn("Scheduled run skipped: previous run still holds the lock", {
+      run_id: runId,
+      cron: group.cron,
+      timezone: group.timezone
+    });
+    return;
+  }
+  try {
+    await executeRun({ runType: "scheduled", runId, strategies: runStrategies });
+  } catch (e) {
+    const timestamp = nowIsoWithOffset();
+    const obj = {
+      timestamp,
+      run_id: runId,
+      symbol: "SYSTEM",
+      strategy: "SYSTEM",
+      run_type: "scheduled",
+      signal: "LONG_CASH",
+      explanation: `Scheduled run error: ${String(e.message || e)}`.slice(0, 600)
+    };
+    store.append("signals", obj);
+    schedulerLog.error(obj.explanation, { run_id: runId });
+    await notifier.notify("run_error", {
+      run_id: runId,
+      run_type: "scheduled",
+      cron: group.cron,
+      timezone: group.timezone,
+      error: String(e.message || e).slice(0, 800)
+    });
+  }
+
+  try {
+    await updatePerformanceLedger();
+  } catch (e) {
+    performanceLog.warn("Ledger update failed", { run_id: runId, error: String(e.message || e) });
+  } finally {
+    journal.releaseLock(lock);
+  }
+}
+
+function scheduleGroup(group) {
+  const entry = { task: null, group };
+  entry.task = cron.schedule(group.cron, () => runScheduledGroup(entry.group), { timezone: group.timezone });
+
+  const names = group.strategies.map((s) => buildStrategyName(s, "scheduled"));
+  schedulerLog.info("Scheduler active", { cron: group.cron, timezone: group.timezone, strategies: names, storage: store.location });
+  return entry;
+}
+
+// -------------------------
+// Startup catch-up
+// -------------------------
+
+// A strategy that never ran on schedule (fresh install, new version) has nothing to catch up: the
+// next cron tick is its first run. Otherwise today's rebalance counts as done once the strategy
+// logged a decision after the fire time, the journal has its post, or (CATCH_UP_CHECK_CHAIN) the
+// chain holds a signal newer than the fire time.
+async function missedScheduledRun(strategy, fireMs, { postStates, chain }) {
+  const name = buildStrategyName(strategy, "scheduled");
+  const [last] = store.read("signals", { strategy: name, limit: 1 });
+  const journaled = Array.from(postStates.keys()).some((key) => key.startsWith(`${name}@`));
+  if (!last && !journaled) return false;
+  if (last && Date.parse(last.timestamp) >= fireMs) return false;
+  if (postStates.get(`${name}@${localDateIn(strategy.timezone)}`) === "posted") return false;
+  if (chain) {
+    try {
+      const [onChain] = await chain.getRecentSignalsForStrategy({ strategyName: name, n: 1 });
+      if (onChain?.timestamp && Number(onChain.timestamp) * 1000 >= fireMs) return false;
+    } catch (e) {
+      // The run itself re-checks the chain before posting.
+      schedulerLog.warn("Catch-up chain check failed", { strategy: name, error: String(e?.message || e) });
+    }
+  }
+  return true;
+}
+
+/**
+ * If the host was down when today's cron fired, run the missed strategies now as a scheduled run,
+ * provided we are still within CATCH_UP_GRACE_MINUTES of the fire time (default 240; 0 disables
+ * catch-up). Strategies without any earlier scheduled record or journal entry are never caught up.
+ * Only daily fixed-time schedules are considered, and never a previous day's rebalance: that would
+ * take today's idempotency key and block today's own run.
+ */
+async function catchUpMissedRuns() {
+  const graceMin = Number(process.env.CATCH_UP_GRACE_MINUTES ?? 240);
+  if (!(graceMin > 0)) return;
+
+  const nowMs = Date.now();
+  const postStates = journal.postStates();
+  const chain = envBool("CATCH_UP_CHECK_CHAIN", false) ? postingChainClient() : null;
+
+  for (const group of scheduleGroups()) {
+    const fireMs = previousDailyFireMs(group.cron, group.timezone, nowMs);
+    if (fireMs === null) {
+      schedulerLog.debug("Catch-up skipped: not a daily schedule", { cron: group.cron, timezone: group.timezone });
+      continue;
+    }
+    const sameDay = localDateIn(group.timezone, new Date(fireMs)) === localDateIn(group.timezone, new Date(nowMs));
+    if (!sameDay || nowMs - fireMs > graceMin * 60_000) continue;
+
+    const missed = [];
+    for (const s of group.strategies) {
+      if (await missedScheduledRun(s, fireMs, { postStates, chain })) missed.push(s);
+    }
+    if (!missed.length) continue;
+
+    const runId = newRunId();
+    const names = missed.map((s) => buildStrategyName(s, "scheduled"));
+    journal.record("run_catch_up", { run_id: runId, missed_fire_at: new Date(fireMs).toISOString(), strategies: names });
+    schedulerLog.warn("Missed today's scheduled run; catching up now", {
+      run_id: runId,
+      cron: group.cron,
+      timezone: group.timezone,
+      missed_by_min: Math.round((nowMs - fireMs) / 60_000),
+      strategies: names
+    });
+    await runScheduledGroup(group, { runId, runStrategies: missed });
+  }
+}
+
+// -------------------------
+// HTTP API (opt-in via HTTP_PORT)
+// -------------------------
+
+function startApi() {
+  const port = Number(process.env.HTTP_PORT);
+  if (!process.env.HTTP_PORT) return;
+  if (!Number.isInteger(port) || port <= 0) throw new Error(`Invalid HTTP_PORT: ${process.env.HTTP_PORT}`);
+  const host = process.env.HTTP_HOST || "127.0.0.1";
+
+  startHttpApi({
+    port,
+    host,
+    token: process.env.HTTP_API_TOKEN || "",
+    store,
+    // Allow-listed: the config also holds webhook URLs and provider endpoints.
+    getStrategies: () =>
+      strategies.map((s) => ({
+        strategy_name: buildStrategyName(s, "scheduled"),
+        test_strategy_name: buildStrategyName(s, "manual"),
+        symbol: s.symbol,
+        chain_asset: s.chainAsset,
+        cron: s.cron,
+        timezone: s.timezone,
+        model: signalBackend(s).model,
+        version: s.version,
+        prompt: signalPromptRef(s),
+        portfolio: Boolean(s.portfolio)
+      })),
+    getHealth: () => {
+      const last = store.read("signals", { limit: 1 })[0] || null;
+      return {
+        status: "ok",
+        started_at: runState.startedAt,
+        uptime_s: Math.round(process.uptime()),
+        schedules: scheduleGroups().map((g) => ({
+          cron: g.cron,
+          timezone: g.timezone,
+          strategies: g.strategies.map((s) => buildStrategyName(s, "scheduled"))
+        })),
+        active_runs: Array.from(runState.active.values()),
+        last_run: runState.last,
+        last_record_at: last?.timestamp ?? null
+      };
     },
-    { timezone: "Europe/Paris" }
+    getActiveRuns: () => Array.from(runState.active.values()),
+    getMetrics: renderMetrics,
+    triggerRun: () => {
+      if (runState.active.size) return null;
+      const runId = newRunId();
+      executeRun({ runType: "manual", runId }).catch((e) => {
+        apiLog.error("Manual run (HTTP) failed", { run_id: runId, error: String(e?.message || e) });
+      });
+      return runId;
+    }
+  });
+  apiLog.info("HTTP API listening", { url: `http://${host}:${port}` });
+}
+
+// -------------------------
+// Backtest
+// -------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily rebalances of one strategy between two dates, plus one extra rebalance after `to`
+// that only serves as the exit price of the last position.
+function backtestRebalances(strategy, from, to) {
+  const clock = cronClock(strategy.cron);
+  if (!clock?.daily) {
+    throw new Error(`backtest supports daily cron schedules only (${buildStrategyName(strategy, "scheduled")}: '${strategy.cron}')`);
+  }
+  return [...eachDate(from, to), addDays(to, 1)].map((date) => ({
+    date,
+    ts: zonedTimeToUtcMs(date, clock.hour, clock.minute, strategy.timezone)
+  }));
+}
+
+async function runBacktestCommand(flags) {
+  const { from, to } = flags;
+  if (!isIsoDate(from) || !isIsoDate(to) || from > to) {
+    throw new Error("backtest requires --from YYYY-MM-DD --to YYYY-MM-DD (from <= to)");
+  }
+
+  const wanted = flags.strategy ?? [];
+  const selected = wanted.length ? strategies.filter((s) => wanted.includes(buildStrategyName(s, "scheduled"))) : strategies;
+  if (!selected.length) {
+    const known = strategies.map((s) => `"${buildStrategyName(s, "scheduled")}"`).join(", ");
+    throw new Error(`No strategy matches ${wanted.map((w) => `"${w}"`).join(", ")}. Known: ${known}`);
+  }
+
+  const rebalancesByStrategy = new Map(selected.map((s) => [s, backtestRebalances(s, from, to)]));
+  const allTs = Array.from(rebalancesByStrategy.values()).flatMap((r) => r.map((x) => x.ts));
+  const firstTs = Math.min(...allTs);
+  const lastTs = Math.max(...allTs);
+
+  const includeBtc = String(INCLUDE_BTC_REGIME).toLowerCase() === "true" && marketAssets.has("BTC");
+  const symbols = new Set(selected.map((s) => s.symbol));
+  if (includeBtc && selected.some((s) => s.type === "crypto" && s.symbol !== "BTC" && usesBlock(s, "btc_regime"))) symbols.add("BTC");
+
+  // Sequential on purpose: the CoinGecko demo plan rate-limits aggressively.
+  const seriesBySymbol = new Map();
+  for (const symbol of symbols) {
+    const asset = marketAssets.get(symbol);
+    const series = await fetchPriceSeriesRange({
+      apiKey: cgKey,
+      id: asset.coingeckoId,
+      vsCurrency: VS_CURRENCY,
+      fromMs: firstTs - 366 * DAY_MS,
+      toMs: lastTs + 60 * 60 * 1000,
+      hourlyFromMs: firstTs - 15 * DAY_MS,
+      apiBase: COINGECKO_API_BASE
+    });
+    seriesBySymbol.set(symbol, series);
+    backtestLog.info("Price series loaded", { symbol, daily: series.dailyPrices.length, hourly: series.hourlyPrices.length });
+  }
+
+  const nSignalsFeedback = Math.max(0, Number(process.env.N_SIGNALS_FEEDBACK || 0));
+  const results = [];
+
+  for (const strategy of selected) {
+    const name = buildStrategyName(strategy, "scheduled");
+    const btcSeries =
+      includeBtc && strategy.type === "crypto" && strategy.symbol !== "BTC" && usesBlock(strategy, "btc_regime") ? seriesBySymbol.get("BTC") : null;
+    const context = contextFor(strategy);
+
+    // Backtest calls are billed like live ones: charged to the strategy budget (model_spend), and
+    // once it is exhausted the remaining days use the fallback.
+    const spendRecords = strategySpendRecords(strategy);
+    const charge = (usage) => {
+      if (!usage) return;
+      const record = { timestamp: nowIsoWithOffset(), strategy: name, symbol: strategy.symbol, run_type: "backtest", usage };
+      store.append("model_spend", record);
+      spendRecords.push(record);
+    };
+
+    const { days, metrics } = await runBacktest({
+      rebalances: rebalancesByStrategy.get(strategy),
+      series: seriesBySymbol.get(strategy.symbol),
+      nSignalsFeedback,
+      buildPayload: ({ asOfMs, features, previousSignals }) => {
+        const btc = btcSeries ? buildFeatures(truncateSeries(btcSeries, asOfMs)) : null;
+        return {
+          symbol: strategy.symbol,
+          features: selectFeatures(strategy, {
+            asset: sanitizeFeatures(features),
+            btc_regime: btc?.meta?.lastDailyTs ? sanitizeFeatures(btc) : null
+          }),
+          context: {
+            ...context,
+            ...(usesBlock(strategy, "previous_signals") ? { previous_signals: previousSignals } : {})
+          }
+        };
+      },
+      decide: async (payload) => {
+        const budget = strategy.budget
+          ? budgetStatus({ budget: strategy.budget, records: spendRecords, timezone: strategy.timezone })
+          : null;
+        if (budget?.exceeded) throw new Error(`Model budget exhausted (${budget.period}: ${budget.spent_usd} of ${budget.cap_usd} USD)`);
+        let decision;
+        try {
+          decision = await decideForStrategy(strategy, payload);
+        } catch (e) {
+          charge(failedUsageOf(e));
+          throw e;
+        }
+        charge(usageOf(decision));
+        return { ...decision, explanation: tidyExplanation(decision.explanation) };
+      },
+      fallback: ({ features, previousSignals }) =>
+        fallbackDecision({
+          mode: strategy.fallback,
+          asset: sanitizeFeatures(features),
+          previousSignals,
+          allowedPositions: strategy.allowedPositions
+        }),
+      onDay: (d) =>
+        backtestLog.info(`${d.date}: ${d.signal}`, { strategy: name, ...(d.ai_error ? { fallback: d.fallback ?? "cash" } : {}) })
+    });
+
+    results.push({
+      strategy: name,
+      symbol: strategy.symbol,
+      model: strategy.model,
+      version: strategy.version,
+      prompt: promptRef(strategy),
+      rebalance_time: describeRebalanceTime(strategy.cron, strategy.timezone),
+      metrics,
+      days
+    });
+  }
+
+  ensureDir(logDirAbs);
+  const outPath = path.join(logDirAbs, `backtest_${from}_${to}_${Date.now()}.json`);
+  fs.writeFileSync(
+    outPath,
+    JSON.stringify({ generated_at: nowIsoWithOffset(), from, to, strategies: results }, null, 2)
   );
 
-  console.log(`Scheduler active: '${CRON_EXPR}' (Europe/Paris). Logs: ${logPath}`);
+  for (const r of results) {
+    const m = r.metrics;
+    backtestLog.info(r.strategy, {
+      days: m.periods,
+      return: fmtPct(m.total_return),
+      sharpe: fmtNum(m.sharpe),
+      sortino: fmtNum(m.sortino),
+      maxDD: fmtPct(m.max_drawdown),
+      hitRate: fmtPct(m.hit_rate),
+      turnover: fmtNum(m.turnover)
+    });
+  }
+  backtestLog.info("Equity curves written", { path: outPath });
 }
 
+// One-shot commands; `run` (the scheduler) is handled below.
+const ONE_SHOT_COMMANDS = {
+  backtest: { log: backtestLog, run: () => runBacktestCommand(FLAGS) },
+  performance: { log: performanceLog, run: () => runPerformanceCommand() },
+  "migrate-storage": { log: storageLog, run: () => runMigrateStorageCommand(COMMAND_ARGS) },
+  signals: { log, run: () => runSignalsCommand(COMMAND_ARGS) },
+  strategies: { log: configLog, run: () => runStrategiesCommand(COMMAND_ARGS) },
+  chain: { log, run: () => runChainCommand(COMMAND_ARGS) },
+  help: { log, run: () => process.stdout.write(USAGE) }
+};
+
 (async () => {
+  const oneShot = ONE_SHOT_COMMANDS[COMMAND];
+  if (oneShot) {
+    try {
+      await oneShot.run();
+    } catch (e) {
+      oneShot.log.error(`${COMMAND} failed: ${String(e?.message || e)}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  if (COMMAND !== "run") {
+    log.error(`Unknown command: ${COMMAND}`);
+    process.stderr.write(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (REPLAY) {
+    log.info("Replaying on a scratch copy of the storage", { cassette: REPLAY_DIR, logDir: logDirAbs });
+    await runOnce({ runType: FLAGS.scheduled ? "scheduled" : "manual" });
+    return;
+  }
+
   schedule();
+  watchStrategies();
+  startApi();
+  try {
+    await catchUpMissedRuns();
+  } catch (e) {
+    schedulerLog.error("Startup catch-up failed", { error: String(e?.message || e) });
+  }
   if (RUN_NOW) {
-    await runOnce({ runType: "manual" });
+    await executeRun({ runType: "manual" });
   }
 })();
@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios, { AxiosError, AxiosHeaders } from "axios";
+
+/**
+ * Record/replay ("cassette") layer for outbound HTTP.
+ *
+ * - record: every response is stored verbatim under <dir>/<host>/<hash>-<n>.json
+ * - replay: the same requests are answered from disk, in order, with no network access
+ *
+ * Requests are matched on method + URL + query params + body, then by call order (n-th identical
+ * call gets the n-th recording). A body that drifted from the recording (different prompt, inputs or
+ * strategy) is a cassette miss, so a replay never hands one request another request's answer.
+ *
+ * Secrets never reach the cassette: request headers are not recorded.
+ */
+
+const state = {
+  mode: "off",
+  dir: null,
+  counters: new Map(),
+  realAdapter: null
+};
+
+function stableStringify(v) {
+  if (v === null || v === undefined || typeof v !== "object") return JSON.stringify(v ?? null);
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+}
+
+function slotFor({ host, method, url, params, body }) {
+  const hash = crypto.createHash("sha256").update(stableStringify({ method, url, params, body })).digest("hex").slice(0, 16);
+  const n = (state.counters.get(hash) || 0) + 1;
+  state.counters.set(hash, n);
+  const safeHost = String(host || "unknown").replace(/[^A-Za-z0-9._-]/g, "_");
+  return path.join(state.dir, safeHost, `${hash}-${n}.json`);
+}
+
+function writeEntry(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ recorded_at: new Date().toISOString(), ...entry }, null, 2));
+}
+
+/**
+ * @param {{ mode: "off"|"record"|"replay", dir?: string }} opts
+ */
+export function configureCassette({ mode, dir }) {
+  if (!["off", "record", "replay"].includes(mode)) throw new Error(`Invalid cassette mode: ${mode}`);
+  if (mode !== "off" && !dir) throw new Error(`Cassette ${mode} mode requires a directory`);
+
+  state.mode = mode;
+  state.dir = dir ? path.resolve(process.cwd(), dir) : null;
+  state.counters = new Map();
+
+  if (mode === "replay" && !fs.existsSync(state.dir)) throw new Error(`Cassette directory not found: ${state.dir}`);
+  if (mode !== "off" && !state.realAdapter) {
+    state.realAdapter = axios.getAdapter(axios.defaults.adapter);
+    axios.defaults.adapter = cassetteAxiosAdapter;
+  }
+}
+
+export function cassetteMode() {
+  return state.mode;
+}
+
+/**
+ * Route one raw request through the active cassette.
+ *
+ * @param {{ host: string, method: string, url: string, params?: object|null, body?: any }} request
+ * @param {() => Promise<object>} send - performs the real call; must resolve to a JSON-serializable raw response
+ * @returns {Promise<object>} the raw response (live, or as recorded)
+ */
+export async function throughCassette(request, send) {
+  if (state.mode === "off") return send();
+
+  const file = slotFor(request);
+
+  if (state.mode === "replay") {
+    if (!fs.existsSync(file)) {
+      const drift = request.body !== undefined ? " (or its body differs from the recording)" : "";
+      throw new Error(`Cassette miss: ${request.method} ${request.url} ${stableStringify(request.params ?? null)}${drift} (expected ${file})`);
+    }
+    const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (entry.error) {
+      const err = new Error(entry.error.message);
+      if (entry.error.name) err.name = entry.error.name;
+      if (entry.error.code != null) err.code = entry.error.code;
+      throw err;
+    }
+    return entry.response;
+  }
+
+  let response;
+  try {
+    response = await send();
+  } catch (e) {
+    writeEntry(file, { request, error: { message: String(e?.message || e), name: e?.name ?? null, code: e?.code ?? null } });
+    throw e;
+  }
+  writeEntry(file, { request, response });
+  return response;
+}
+
+function parseBody(data) {
+  if (data === undefined || data === null) return undefined;
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+// Installed as axios.defaults.adapter, so every provider using the shared axios instance is covered.
+async function cassetteAxiosAdapter(config) {
+  const method = String(config.method || "get").toUpperCase();
+  const raw = await throughCassette(
+    {
+      host: new URL(config.url).host,
+      method,
+      url: config.url,
+      params: config.params ?? null,
+      body: parseBody(config.data)
+    },
+    async () => {
+      // Always resolve so non-2xx responses are recorded too; status is re-checked below.
+      const res = await state.realAdapter({ ...config, validateStatus: () => true });
+      return {
+        status: res.status,
+        statusText: res.statusText,
+        headers: AxiosHeaders.from(res.headers).toJSON(),
+        data: res.data
+      };
+    }
+  );
+
+  const response = {
+    data: raw.data,
+    status: raw.status,
+    statusText: raw.statusText,
+    headers: AxiosHeaders.from(raw.headers || {}),
+    config,
+    request: null
+  };
+  if (!config.validateStatus || config.validateStatus(response.status)) return response;
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
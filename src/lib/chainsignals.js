@@ -3,6 +3,15 @@ import { ethers } from "ethers";
 // Some L2 RPC gateways will accept the TCP connection but never respond,
 // and Node's global fetch pooling can make this look like a "hang".
 import { Agent, fetch as undiciFetch } from "undici";
+import { throughCassette } from "./cassette.js";
+import { histogram } from "./prometheus.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("chain");
+// RPC request/response tracing is debug-level on "chain:rpc" (LOG_DEBUG=chain:rpc).
+const rpcLog = createLogger("chain:rpc");
+
+const rpcSeconds = histogram("aisignals_rpc_request_seconds", "JSON-RPC transport latency per method", ["method", "outcome"]);
 
 const ABI = [
   "function postSignal(string strategy,string asset,string message,uint8 target,uint8 leverage,uint16 weight) payable",
@@ -49,7 +58,8 @@ function bumpFactorForAttempt(attemptIndex) {
 
 export class ChainSignalsClient {
   /**
-   * @param {{ rpcUrl: string, chainId: number|string, chainName?: string, contractAddress: string, privateKey: string, gasPriceGwei?: number|string, gasLimit?: number|string }} opts
+   * @param {{ rpcUrl: string, chainId: number|string, chainName?: string, contractAddress: string, privateKey?: string, readOnly?: boolean, gasPriceGwei?: number|string, gasLimit?: number|string }} opts
+   *   readOnly: the private key is optional; without it the client only reads (and needs an explicit trader)
    */
   constructor(opts) {
     this.rpcUrl = must("CHAIN_RPC_URL", opts.rpcUrl);
@@ -65,7 +75,7 @@ export class ChainSignalsClient {
     if (!Number.isFinite(this.chainId)) throw new Error("Invalid CHAIN_ID");
     this.chainName = String(opts.chainName || "kasplex l2");
     this.contractAddress = must("CHAIN_SIGNALS_ADDRESS", opts.contractAddress);
-    this.privateKey = must("DEPLOYER_PK", opts.privateKey);
+    this.privateKey = opts.readOnly ? opts.privateKey || null : must("DEPLOYER_PK", opts.privateKey);
 
     // Many non-mainstream RPCs can be picky about:
     // - network autodetection
@@ -106,19 +116,14 @@ export class ChainSignalsClient {
     // - set strict connect/headers/body timeouts
     // - still keep an AbortController as an extra escape hatch
     this._rpcId = 1;
-    // Logging controls:
-    // - CHAIN_RPC_DEBUG=1/true -> minimal debug (errors + fee decisions)
-    // - CHAIN_RPC_TRACE=1/true -> log every RPC request/response
-    const __dbg = String(process.env.CHAIN_RPC_DEBUG ?? "").trim().toLowerCase();
-    const __trace = String(process.env.CHAIN_RPC_TRACE ?? "").trim().toLowerCase();
-    this._rpcDebug = (__dbg === "1" || __dbg === "true" || __dbg === "yes" || __dbg === "on" || __dbg === "debug");
-    this._rpcTrace = (__trace === "1" || __trace === "true" || __trace === "yes" || __trace === "on" || __trace === "trace");
 
     // Local nonce allocator to support back-to-back txs in the same run.
     // Some RPCs return the same "pending" nonce until the tx is visible in
     // their mempool / indexing layer. If we ask for the nonce twice in quick
     // succession, we may reuse the same nonce and effectively drop the 2nd tx.
     this._nextNonce = null;
+    // Tail of the post queue (see _serialized).
+    this._postQueue = Promise.resolve();
 
     const connectTimeout = Number(process.env.CHAIN_RPC_CONNECT_TIMEOUT_MS ?? 7_500);
     const headersTimeout = Number(process.env.CHAIN_RPC_HEADERS_TIMEOUT_MS ?? 10_000);
@@ -139,7 +144,7 @@ export class ChainSignalsClient {
     });
 
     // Wallet is used only for signing (offline). Broadcasting is done via raw JSON-RPC.
-    this.wallet = new ethers.Wallet(this.privateKey);
+    this.wallet = this.privateKey ? new ethers.Wallet(this.privateKey) : null;
     this.contract = new ethers.Contract(this.contractAddress, ABI);
     this.iface = new ethers.Interface(ABI);
     this._postFeeWei = null;
@@ -152,6 +157,11 @@ export class ChainSignalsClient {
     this._signalByIdCache = new Map();
   }
 
+  _signer() {
+    if (!this.wallet) throw new Error("Read-only chain client: DEPLOYER_PK is required to sign");
+    return this.wallet;
+  }
+
   async _rpcCall(method, params) {
     const payload = {
       jsonrpc: "2.0",
@@ -165,26 +175,33 @@ export class ChainSignalsClient {
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), timeoutMs);
 
-    if (this._rpcTrace) {
-      // eslint-disable-next-line no-console
-      console.log(`[rpc] -> ${method}`, JSON.stringify(payload).slice(0, 500));
-    }
+    rpcLog.debug(`-> ${method}`, { request: JSON.stringify(payload).slice(0, 500) });
 
     let res;
+    const started = process.hrtime.bigint();
+    let outcome = "ok";
     try {
-      res = await undiciFetch(this.rpcUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "application/json",
-          // Many RPC gateways have buggy keep-alive behavior.
-          Connection: "close"
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal,
-        dispatcher: this._dispatcher
-      });
+      // Keyed on the JSON-RPC method (the request id is per-process and not part of the match).
+      res = await throughCassette(
+        { host: new URL(this.rpcUrl).host, method: "POST", url: this.rpcUrl, params: { rpc: method }, body: params },
+        async () => {
+          const r = await undiciFetch(this.rpcUrl, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "application/json",
+              // Many RPC gateways have buggy keep-alive behavior.
+              Connection: "close"
+            },
+            body: JSON.stringify(payload),
+            signal: controller.signal,
+            dispatcher: this._dispatcher
+          });
+          return { status: r.status, body: await r.text() };
+        }
+      );
     } catch (e) {
+      outcome = "error";
       const isAbort = e?.name === "AbortError";
       const code = e?.code || e?.cause?.code;
       const causeMsg = e?.cause?.message;
@@ -197,10 +214,11 @@ export class ChainSignalsClient {
       throw err;
     } finally {
       clearTimeout(t);
+      rpcSeconds.observe({ method, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
     }
 
     // If the endpoint is behind a proxy, it may still respond with non-200 codes.
-    const text = await res.text();
+    const text = res.body;
     let json;
     try {
       json = JSON.parse(text);
@@ -208,10 +226,7 @@ export class ChainSignalsClient {
       throw new Error(`RPC ${method} failed: non-JSON response (status=${res.status}) ${text.slice(0, 200)}`);
     }
 
-    if (this._rpcTrace) {
-      // eslint-disable-next-line no-console
-      console.log(`[rpc] <- ${method} status=${res.status}`, JSON.stringify(json).slice(0, 500));
-    }
+    rpcLog.debug(`<- ${method}`, { status: res.status, response: JSON.stringify(json).slice(0, 500) });
 
     if (json?.error) {
       const err = new Error(json.error.message || `RPC error calling ${method}`);
@@ -257,6 +272,86 @@ export class ChainSignalsClient {
     return n;
   }
 
+  async _serialized(fn) {
+    const run = this._postQueue.then(fn, fn);
+    this._postQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _broadcastPost({ data, strat, asset: a }) {
+    let nonce = null;
+    let sending = false;
+    try {
+      const from = await this._signer().getAddress();
+      const chainId = await this._getChainId();
+      // Local nonce allocator: allows multiple txs per run even if `pending`
+      // does not reflect freshly-broadcast txs immediately.
+      nonce = await this._allocNonce(from);
+
+      // Gas estimate (with a buffer).
+      const est = await this._estimateGas({ from, to: this.contractAddress, data });
+      const gasEstimate = est ?? 300_000n;
+      const gasLimit = (gasEstimate * 122n) / 100n; // +22% buffer
+
+      // If the contract requires a fee (msg.value), fetch it (best effort).
+      let valueWei = 0n;
+      try {
+        // postFee() selector used in earlier versions.
+        const feeHex = await this._rpcCall("eth_call", [
+          { to: this.contractAddress, data: "0xfcf7becf" },
+          "latest",
+        ]);
+        if (typeof feeHex === "string" && feeHex.startsWith("0x")) valueWei = BigInt(feeHex);
+      } catch {
+        // ignore
+      }
+
+      const supports1559 = await this._detectSupports1559();
+
+      // Build the transaction request with *minimum reasonable* fees.
+      // We do NOT spam rebroadcasts. We return the tx hash immediately after broadcast.
+      /** @type {import('ethers').TransactionRequest} */
+      const txReq = {
+        to: this.contractAddress,
+        from,
+        data,
+        nonce,
+        chainId,
+        gasLimit,
+        value: valueWei,
+      };
+
+      if (supports1559) {
+        const baseFee = (await this._getBaseFeeWei()) ?? (await this._getSuggestedGasPriceWei());
+        // Default priority fee: 1 gwei (override via CHAIN_PRIORITY_FEE_GWEI).
+        const prioGwei = Number.isFinite(this.priorityFeeGwei) && this.priorityFeeGwei > 0 ? this.priorityFeeGwei : 1;
+        const maxPriorityFeePerGas = ethers.parseUnits(String(prioGwei), "gwei");
+        // Keep fees as low as possible: maxFee = baseFee + priority.
+        // (You only ever pay baseFee + priority; extra headroom only increases max cap)
+        const maxFeePerGas = baseFee + maxPriorityFeePerGas;
+        txReq.type = 2;
+        txReq.maxFeePerGas = clampBigInt(maxFeePerGas, 1n, ethers.parseUnits(String(this.maxGasPriceGwei), "gwei"));
+        txReq.maxPriorityFeePerGas = clampBigInt(maxPriorityFeePerGas, 1n, txReq.maxFeePerGas);
+      } else {
+        const gasPrice = await this._chooseBaseGasPriceWei();
+        txReq.gasPrice = gasPrice;
+      }
+
+      // Sign + broadcast.
+      const rawTx = await this._signer().signTransaction(txReq);
+      sending = true;
+      const txHash = await this._rpcCall("eth_sendRawTransaction", [rawTx]);
+      log.debug("broadcast", { strategy: strat, asset: a, nonce, tx: txHash });
+      return { txHash, nonce, chainId };
+    } catch (e) {
+      // Never leave a nonce gap: a tx that was never sent hands its nonce back; after a failed
+      // send the node may or may not have it, so the next post re-reads "pending".
+      if (!sending && nonce !== null && this._nextNonce === nonce + 1n) this._nextNonce = nonce;
+      else if (sending) this._nextNonce = null;
+      throw e;
+    }
+  }
+
   async _getRemoteChainId() {
     if (this._remoteChainId !== null) return this._remoteChainId;
     try {
@@ -393,7 +488,7 @@ export class ChainSignalsClient {
    * We search from newest -> oldest and return results in chronological order (oldest -> newest).
    *
    * @param {{strategyName:string, n:number, trader?:string}} p
-   * @returns {Promise<Array<{timestamp:number,asset:string,target:number,message:string}>>}
+   * @returns {Promise<Array<{id:string,timestamp:number,asset:string,target:number,weight:number,leverage:number,message:string}>>}
    */
   async getRecentSignalsForStrategy({ strategyName, n, trader }) {
     const want = Math.max(0, Number(n || 0));
@@ -402,7 +497,8 @@ export class ChainSignalsClient {
     const strategy = String(strategyName || "").trim();
     if (!strategy) return [];
 
-    const addr = String(trader || this.wallet.address).trim();
+    const addr = String(trader || this.wallet?.address || "").trim();
+    if (!addr) throw new Error("No trader address: pass trader, or set DEPLOYER_PK to read this bot's own signals");
     const ids = await this.getTraderSignalIds(addr);
     if (!ids.length) return [];
 
@@ -411,7 +507,15 @@ export class ChainSignalsClient {
       const id = ids[i];
       const sig = await this.getSignalById(id);
       if (String(sig.strategy || "").trim() !== strategy) continue;
-      out.push({ timestamp: sig.timestamp, asset: sig.asset, target: sig.target, message: sig.message });
+      out.push({
+        id: String(id),
+        timestamp: sig.timestamp,
+        asset: sig.asset,
+        target: sig.target,
+        weight: sig.weight,
+        leverage: sig.leverage,
+        message: sig.message
+      });
     }
 
     return out.reverse();
@@ -458,6 +562,14 @@ export class ChainSignalsClient {
     return BigInt(hex);
   }
 
+  /**
+   * Native balance of the posting wallet (wei).
+   * @returns {Promise<bigint>}
+   */
+  async getWalletBalanceWei() {
+    return this._getBalanceWei(await this._signer().getAddress());
+  }
+
   async _getBalanceWei(address) {
     const hex = await this._rpcCall("eth_getBalance", [address, "latest"]);
     if (typeof hex !== "string" || !hex.startsWith("0x")) {
@@ -620,64 +732,9 @@ export class ChainSignalsClient {
     // Encode calldata as postSignal(strategy, asset, message, target, leverage, weight)
     const data = this.iface.encodeFunctionData("postSignal", [strat, a, msg, targetEnum, lev, w]);
 
-    const from = await this.wallet.getAddress();
-    const chainId = await this._getChainId();
-    // Local nonce allocator: allows multiple txs per run even if `pending`
-    // does not reflect freshly-broadcast txs immediately.
-    const nonce = await this._allocNonce(from);
-
-    // Gas estimate (with a buffer).
-    const est = await this._estimateGas({ from, to: this.contractAddress, data });
-    const gasEstimate = est ?? 300_000n;
-    const gasLimit = (gasEstimate * 122n) / 100n; // +22% buffer
-
-    // If the contract requires a fee (msg.value), fetch it (best effort).
-    let valueWei = 0n;
-    try {
-      // postFee() selector used in earlier versions.
-      const feeHex = await this._rpcCall("eth_call", [
-        { to: this.contractAddress, data: "0xfcf7becf" },
-        "latest",
-      ]);
-      if (typeof feeHex === "string" && feeHex.startsWith("0x")) valueWei = BigInt(feeHex);
-    } catch {
-      // ignore
-    }
-
-    const supports1559 = await this._detectSupports1559();
-
-    // Build the transaction request with *minimum reasonable* fees.
-    // We do NOT spam rebroadcasts. We return the tx hash immediately after broadcast.
-    /** @type {import('ethers').TransactionRequest} */
-    const txReq = {
-      to: this.contractAddress,
-      from,
-      data,
-      nonce,
-      chainId,
-      gasLimit,
-      value: valueWei,
-    };
-
-    if (supports1559) {
-      const baseFee = (await this._getBaseFeeWei()) ?? (await this._getSuggestedGasPriceWei());
-      // Default priority fee: 1 gwei (override via CHAIN_PRIORITY_FEE_GWEI).
-      const prioGwei = Number.isFinite(this.priorityFeeGwei) && this.priorityFeeGwei > 0 ? this.priorityFeeGwei : 1;
-      const maxPriorityFeePerGas = ethers.parseUnits(String(prioGwei), "gwei");
-      // Keep fees as low as possible: maxFee = baseFee + priority.
-      // (You only ever pay baseFee + priority; extra headroom only increases max cap)
-      const maxFeePerGas = baseFee + maxPriorityFeePerGas;
-      txReq.type = 2;
-      txReq.maxFeePerGas = clampBigInt(maxFeePerGas, 1n, ethers.parseUnits(String(this.maxGasPriceGwei), "gwei"));
-      txReq.maxPriorityFeePerGas = clampBigInt(maxPriorityFeePerGas, 1n, txReq.maxFeePerGas);
-    } else {
-      const gasPrice = await this._chooseBaseGasPriceWei();
-      txReq.gasPrice = gasPrice;
-    }
-
-    // Sign + broadcast.
-    const rawTx = await this.wallet.signTransaction(txReq);
-    const txHash = await this._rpcCall("eth_sendRawTransaction", [rawTx]);
+    // One post at a time from nonce allocation to broadcast: the process shares one client, so
+    // concurrent schedule groups or a manual /run never sign two txs with the same nonce.
+    const { txHash, nonce, chainId } = await this._serialized(() => this._broadcastPost({ data, strat, asset: a }));
 
     // Optional receipt wait (short + bounded). Default: do NOT wait.
     if (!this.waitForReceipt) {
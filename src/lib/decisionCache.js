@@ -0,0 +1,89 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("decision-cache");
+
+/**
+ * On-disk cache of model decisions: <dir>/<key[0..2]>/<key>.json.
+ *
+ * The key is a sha256 over everything that determines the answer: backend, endpoint, model,
+ * ensemble sample, prompt template (id + hash), the rendered instructions and the sanitized
+ * payload. Identical inputs therefore reuse the earlier answer (no call, no spend), which also
+ * makes a manual run reproduce what a scheduled run saw.
+ *
+ * Only successful, schema-valid decisions are stored. With `bypass` (or `refresh` on one call) the
+ * lookup is skipped and the fresh answer replaces the entry.
+ */
+
+function stableStringify(v) {
+  if (v === null || v === undefined || typeof v !== "object") return JSON.stringify(v ?? null);
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+}
+
+export function decisionCacheKey(parts) {
+  return crypto.createHash("sha256").update(stableStringify(parts)).digest("hex");
+}
+
+export class DecisionCache {
+  /**
+   * @param {{ dir: string, bypass?: boolean }} opts
+   */
+  constructor({ dir, bypass = false }) {
+    this.dir = dir;
+    this.bypass = bypass;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * @returns {{ decision: object, cached_at: string } | null}
+   */
+  get(key) {
+    if (this.bypass) return null;
+    const file = this.fileFor(key);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+      return entry?.decision ? entry : null;
+    } catch (e) {
+      // A torn write is just a miss; the next answer overwrites it.
+      log.warn("Unreadable cache entry, ignoring", { file, error: String(e?.message || e) });
+      return null;
+    }
+  }
+
+  set(key, decision, meta = {}) {
+    const file = this.fileFor(key);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ cached_at: new Date().toISOString(), ...meta, decision }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      log.warn("Could not write cache entry", { file, error: String(e?.message || e) });
+    }
+  }
+
+  /**
+   * Cached answer for `parts`, or `compute()`'s (then stored).
+   * @param {{ refresh?: boolean }} [opts] - refresh: always compute, like `bypass` for this call only
+   * @returns {Promise<{ decision: object, key: string, hit: boolean, cached_at?: string }>}
+   */
+  async getOrCompute(parts, compute, meta, { refresh = false } = {}) {
+    const key = decisionCacheKey(parts);
+    const entry = refresh ? null : this.get(key);
+    if (entry) {
+      log.debug("hit", { key, cached_at: entry.cached_at });
+      return { decision: entry.decision, key, hit: true, cached_at: entry.cached_at };
+    }
+    const decision = await compute();
+    this.set(key, decision, meta);
+    return { decision, key, hit: false };
+  }
+}
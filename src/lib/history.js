@@ -45,3 +45,14 @@ export function pctChange(a, b) {
   if (!Number.isFinite(aa) || !Number.isFinite(bb) || aa === 0) return null;
   return (bb - aa) / aa;
 }
+
+/**
+ * Rewrite an NDJSON file atomically (temp file + rename). Ensures directory exists.
+ */
+export function writeNdjson(filePath, records) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, records.map((r) => JSON.stringify(r) + "\n").join(""));
+  fs.renameSync(tmp, filePath);
+}
@@ -0,0 +1,117 @@
+import http from "http";
+import crypto from "crypto";
+import { parseTimeParam } from "./time.js";
+
+/**
+ * Minimal local HTTP API over the signal log (NDJSON or SQLite storage).
+ *
+ * GET  /health
+ * GET  /strategies
+ * GET  /signals/latest
+ * GET  /signals?strategy=&from=&to=&limit=
+ * GET  /runs/:id       (run summary + its signal records)
+ * GET  /metrics        (Prometheus text format)
+ * POST /run            (Authorization: Bearer <token>)
+ *
+ * Read-only endpoints are unauthenticated; bind to localhost unless a proxy handles auth.
+ */
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function isAuthorized(req, token) {
+  if (!token) return false;
+  const header = String(req.headers.authorization || "");
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {object} p
+ * @param {number} p.port
+ * @param {string} [p.host] - defaults to 127.0.0.1
+ * @param {string} [p.token] - bearer token for POST /run; when unset the endpoint is disabled
+ * @param {object} p.store - record storage (see openStorage())
+ * @param {() => Array<object>} p.getStrategies - public summaries (names, asset, schedule, model, prompt), never raw config
+ * @param {() => object} p.getHealth
+ * @param {() => Array<object>} p.getActiveRuns
+ * @param {() => string} [p.getMetrics] - Prometheus exposition text
+ * @param {() => string|null} p.triggerRun - starts a manual run, returns its id (null if one is already running)
+ */
+export function startHttpApi({ port, host = "127.0.0.1", token, store, getStrategies, getHealth, getActiveRuns, getMetrics, triggerRun }) {
+  const routes = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.replace(/\/+$/, "").split("/").filter(Boolean);
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      return sendJson(res, 200, getHealth());
+    }
+
+    if (req.method === "GET" && url.pathname === "/metrics" && getMetrics) {
+      const text = getMetrics();
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Content-Length": Buffer.byteLength(text) });
+      return res.end(text);
+    }
+
+    if (req.method === "GET" && url.pathname === "/strategies") {
+      return sendJson(res, 200, { strategies: getStrategies() });
+    }
+
+    if (req.method === "GET" && url.pathname === "/signals/latest") {
+      const latest = new Map();
+      for (const r of store.read("signals")) {
+        if (r?.strategy && r.strategy !== "SYSTEM" && !r.chain_error) latest.set(r.strategy, r);
+      }
+      return sendJson(res, 200, { signals: Array.from(latest.values()) });
+    }
+
+    if (req.method === "GET" && url.pathname === "/signals") {
+      const strategy = url.searchParams.get("strategy");
+      const from = parseTimeParam(url.searchParams.get("from"));
+      const to = parseTimeParam(url.searchParams.get("to"), { endOfDay: true });
+      const limit = url.searchParams.has("limit") ? Number(url.searchParams.get("limit")) : null;
+      if (Number.isNaN(from) || Number.isNaN(to)) return sendJson(res, 400, { error: "from/to must be ISO dates or datetimes" });
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) return sendJson(res, 400, { error: "limit must be a positive integer" });
+
+      let out = store.read("signals", strategy ? { strategy } : {}).filter((r) => {
+        const ts = Date.parse(r?.timestamp);
+        if (from !== null && !(ts >= from)) return false;
+        if (to !== null && !(ts <= to)) return false;
+        return true;
+      });
+      if (limit !== null) out = out.slice(-limit);
+      return sendJson(res, 200, { signals: out });
+    }
+
+    if (req.method === "GET" && parts[0] === "runs" && parts.length === 2) {
+      const id = decodeURIComponent(parts[1]);
+      const running = getActiveRuns().some((r) => r.run_id === id);
+      const records = store.read("signals", { runId: id });
+      const summary = store.read("runs", { runId: id }).at(-1) || null;
+      if (!records.length && !summary && !running) return sendJson(res, 404, { error: `Run not found: ${id}` });
+      return sendJson(res, 200, { run_id: id, status: running ? "running" : "finished", summary, records });
+    }
+
+    if (req.method === "POST" && url.pathname === "/run") {
+      if (!token) return sendJson(res, 403, { error: "POST /run is disabled (HTTP_API_TOKEN not set)" });
+      if (!isAuthorized(req, token)) return sendJson(res, 401, { error: "Unauthorized" });
+      const runId = triggerRun();
+      if (!runId) return sendJson(res, 409, { error: "A run is already in progress", active_runs: getActiveRuns() });
+      return sendJson(res, 202, { run_id: runId, status: "started" });
+    }
+
+    return sendJson(res, 404, { error: "Not found" });
+  };
+
+  const server = http.createServer((req, res) => {
+    routes(req, res).catch((e) => sendJson(res, 500, { error: String(e?.message || e) }));
+  });
+  server.listen(port, host);
+  return server;
+}
@@ -1,16 +1,122 @@
-import fs from "fs";
-import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { nowIsoWithOffset } from "./time.js";
 
-export function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+/**
+ * Structured, leveled logger with per-module namespaces.
+ *
+ *   const log = createLogger("chain");
+ *   log.info("Posted on-chain", { tx: hash, status: "SUCCESS" });
+ *
+ * - LOG_LEVEL: debug | info | warn | error (default info)
+ * - LOG_FORMAT: pretty | json (default pretty)
+ * - LOG_DEBUG: comma-separated namespaces logged at debug level regardless of LOG_LEVEL
+ *   (e.g. "chain:rpc,signals-feedback"; "*" for all)
+ *
+ * Correlation: fields bound with withLogContext() (run_id, strategy, symbol, ...) are attached to
+ * every line emitted inside that async scope, including from providers and the chain client.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+const config = {
+  level: LEVELS.info,
+  format: "pretty",
+  debugNamespaces: new Set()
+};
+
+export function configureLogging({ level, format, debugNamespaces } = {}) {
+  if (level !== undefined) {
+    const l = String(level).trim().toLowerCase();
+    if (!(l in LEVELS)) throw new Error(`Invalid LOG_LEVEL: ${level} (expected ${Object.keys(LEVELS).join("|")})`);
+    config.level = LEVELS[l];
+  }
+  if (format !== undefined) {
+    const f = String(format).trim().toLowerCase();
+    if (f !== "pretty" && f !== "json") throw new Error(`Invalid LOG_FORMAT: ${format} (expected pretty|json)`);
+    config.format = f;
+  }
+  if (debugNamespaces !== undefined) {
+    config.debugNamespaces = new Set(debugNamespaces.map((n) => String(n).trim()).filter(Boolean));
+  }
 }
 
-export function appendNdjson(filePath, obj) {
-  const line = JSON.stringify(obj);
-  fs.appendFileSync(filePath, line + "\n", "utf8");
+/**
+ * Run `fn` with extra fields attached to every log line it (transitively) emits.
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * Replace/extend fields for the rest of the current scope without wrapping code in a callback
+ * (e.g. per loop iteration, where a callback would break `continue`). Only call it inside a
+ * withLogContext() scope, otherwise the fields leak into the caller.
+ */
+export function bindLogContext(fields) {
+  context.enterWith({ ...(context.getStore() || {}), ...fields });
+}
+
+function enabled(namespace, level) {
+  if (LEVELS[level] >= config.level) return true;
+  if (level !== "debug") return false;
+  const ns = config.debugNamespaces;
+  return ns.has("*") || ns.has(namespace) || ns.has(namespace.split(":")[0]);
+}
+
+function errorFields(err) {
+  return { message: String(err?.message || err), ...(err?.stack ? { stack: err.stack } : {}) };
+}
+
+function prettyValue(v) {
+  if (typeof v === "string") return /\s|=/.test(v) ? JSON.stringify(v) : v;
+  return JSON.stringify(v);
+}
+
+function emit(namespace, bindings, level, msg, fields) {
+  if (!enabled(namespace, level)) return;
+
+  const extra = fields instanceof Error ? { error: errorFields(fields) } : fields || {};
+  if (extra.error instanceof Error) extra.error = errorFields(extra.error);
+  const entry = {
+    timestamp: nowIsoWithOffset(),
+    level,
+    ns: namespace,
+    msg: String(msg),
+    ...(context.getStore() || {}),
+    ...bindings,
+    ...extra
+  };
+
+  let line;
+  if (config.format === "json") {
+    line = JSON.stringify(entry);
+  } else {
+    const { timestamp, level: lvl, ns, msg: text, ...rest } = entry;
+    const kv = Object.entries(rest)
+      .filter(([, v]) => v !== undefined && v !== null)
+      .map(([k, v]) => `${k}=${prettyValue(v)}`)
+      .join(" ");
+    line = `[${timestamp}] ${lvl.toUpperCase().padEnd(5)} ${ns}: ${text}${kv ? ` ${kv}` : ""}`;
+  }
+
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
 }
 
-export function resolveLogPath(logDir, filename) {
-  ensureDir(logDir);
-  return path.resolve(logDir, filename);
+/**
+ * @param {string} namespace - module name, e.g. "index", "chain", "chain:rpc", "provider:coingecko"
+ * @param {object} [bindings] - fields attached to every line of this logger
+ */
+export function createLogger(namespace, bindings = {}) {
+  return {
+    namespace,
+    debug: (msg, fields) => emit(namespace, bindings, "debug", msg, fields),
+    info: (msg, fields) => emit(namespace, bindings, "info", msg, fields),
+    warn: (msg, fields) => emit(namespace, bindings, "warn", msg, fields),
+    error: (msg, fields) => emit(namespace, bindings, "error", msg, fields),
+    isDebugEnabled: () => enabled(namespace, "debug"),
+    child: (more, childNamespace = namespace) => createLogger(childNamespace, { ...bindings, ...more })
+  };
 }
@@ -0,0 +1,100 @@
+/**
+ * Performance metrics for daily strategies.
+ * All functions take simple returns (e.g., 0.01) ordered oldest -> newest.
+ */
+
+import { maxDrawdown } from "./indicators.js";
+
+// Crypto trades every day; the rebalance is daily.
+export const PERIODS_PER_YEAR = 365;
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function std(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Position exposure implied by a signal: +1 long, -1 short, 0 cash.
+ */
+export function positionForSignal(signal) {
+  if (signal === "LONG_ASSET") return 1;
+  if (signal === "SHORT_ASSET") return -1;
+  return 0;
+}
+
+export function sharpe(returns, periodsPerYear = PERIODS_PER_YEAR) {
+  const r = (returns || []).filter(isNum);
+  const s = std(r);
+  if (!isNum(s) || s === 0) return null;
+  return (mean(r) / s) * Math.sqrt(periodsPerYear);
+}
+
+export function sortino(returns, periodsPerYear = PERIODS_PER_YEAR) {
+  const r = (returns || []).filter(isNum);
+  if (r.length < 2) return null;
+  const downside = Math.sqrt(r.reduce((s, v) => s + Math.min(v, 0) ** 2, 0) / r.length);
+  if (downside === 0) return null;
+  return (mean(r) / downside) * Math.sqrt(periodsPerYear);
+}
+
+export function equityCurve(returns, start = 1) {
+  const out = [];
+  let eq = start;
+  for (const r of returns || []) {
+    eq *= 1 + (isNum(r) ? r : 0);
+    out.push(eq);
+  }
+  return out;
+}
+
+/**
+ * Share of periods with non-zero exposure that ended with a positive return.
+ */
+export function hitRate(returns, positions) {
+  let active = 0;
+  let wins = 0;
+  for (let i = 0; i < returns.length; i++) {
+    if (!positions[i] || !isNum(returns[i])) continue;
+    active += 1;
+    if (returns[i] > 0) wins += 1;
+  }
+  return active ? wins / active : null;
+}
+
+/**
+ * Average absolute change in exposure per period (starting flat).
+ * A daily LONG -> SHORT flip counts as 2.
+ */
+export function turnover(positions) {
+  if (!positions?.length) return null;
+  let prev = 0;
+  let sum = 0;
+  for (const p of positions) {
+    sum += Math.abs(p - prev);
+    prev = p;
+  }
+  return sum / positions.length;
+}
+
+export function summarizeReturns({ returns, positions }) {
+  const equity = equityCurve(returns);
+  return {
+    periods: returns.length,
+    total_return: equity.length ? equity[equity.length - 1] - 1 : null,
+    sharpe: sharpe(returns),
+    sortino: sortino(returns),
+    max_drawdown: equity.length ? maxDrawdown([1, ...equity], equity.length + 1) : null,
+    hit_rate: hitRate(returns, positions),
+    turnover: turnover(positions)
+  };
+}
@@ -0,0 +1,97 @@
+import { fetch as undiciFetch } from "undici";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("webhook");
+
+/**
+ * Best-effort webhook notifications (JSON POST to every configured URL).
+ *
+ * Events: signal, signal_change, post_success, post_revert, post_broadcast, post_unconfirmed,
+ * post_failed, run_error.
+ *
+ * Payload: { event, timestamp, text, ...data } — `text` is a one-line summary so chat webhooks
+ * (Slack-style) render something useful without a formatter.
+ *
+ * Never throws: a broken webhook must not break a run.
+ */
+export class WebhookNotifier {
+  /**
+   * @param {{ urls?: string[], events?: string[]|null, timeoutMs?: number, source?: string }} opts
+   *   events: allow-list of event names (null = all)
+   */
+  constructor({ urls = [], events = null, timeoutMs = 10_000, source = "aisignals" } = {}) {
+    this.urls = urls.map((u) => String(u).trim()).filter(Boolean);
+    this.events = events?.length ? new Set(events) : null;
+    this.timeoutMs = timeoutMs;
+    this.source = source;
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  async notify(event, data = {}) {
+    if (!this.enabled || (this.events && !this.events.has(event))) return;
+
+    const body = JSON.stringify({
+      event,
+      source: this.source,
+      timestamp: new Date().toISOString(),
+      text: summarize(event, data),
+      ...data
+    });
+
+    const results = await Promise.allSettled(
+      this.urls.map(async (url) => {
+        const res = await undiciFetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        await res.arrayBuffer();
+      })
+    );
+
+    results.forEach((r, i) => {
+      if (r.status === "rejected") {
+        log.warn("delivery failed", { event, target: redact(this.urls[i]), error: String(r.reason?.message || r.reason) });
+      }
+    });
+  }
+}
+
+// Webhook URLs usually embed a secret token in the path; only log the origin.
+function redact(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "(invalid url)";
+  }
+}
+
+function summarize(event, d) {
+  const who = d.strategy ? `${d.strategy}: ` : "";
+  const link = d.tx_url ? ` ${d.tx_url}` : "";
+  switch (event) {
+    case "signal":
+      return `${who}${d.signal} — ${d.explanation ?? ""}`;
+    case "signal_change":
+      return `${who}${d.previous_signal} -> ${d.signal} — ${d.explanation ?? ""}`;
+    case "post_success":
+      return `${who}posted ${d.signal} on-chain${link}`;
+    case "post_revert":
+      return `${who}on-chain post REVERTED${link}`;
+    case "post_broadcast":
+      return `${who}post broadcast, not mined yet${link}`;
+    case "post_unconfirmed":
+      return `${who}post unconfirmed (likely dropped)${link}`;
+    case "post_failed":
+      return `${who}on-chain post failed: ${d.error ?? ""}`;
+    case "run_error":
+      return `Run ${d.run_id ?? ""} failed: ${d.error ?? ""}`;
+    default:
+      return `${who}${event}`;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Minimal in-process Prometheus registry (text exposition format 0.0.4).
+ *
+ * Modules declare their metrics at load time and update them inline; the HTTP API renders
+ * everything on GET /metrics. Label values are free-form strings; keep their cardinality low
+ * (provider, symbol, model, RPC method, outcome).
+ */
+
+const registry = new Map();
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map((n) => labels[n] ?? "").join("\u0000");
+}
+
+function renderLabels(labelNames, key, extra = "") {
+  const values = key.split("\u0000");
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function define(name, metric) {
+  if (registry.has(name)) return registry.get(name);
+  registry.set(name, metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return define(name, {
+    type: "counter",
+    help,
+    labelNames,
+    values,
+    inc(labels = {}, v = 1) {
+      const k = labelKey(labelNames, labels);
+      values.set(k, (values.get(k) || 0) + v);
+    }
+  });
+}
+
+export function gauge(name, help, labelNames = []) {
+  const values = new Map();
+  return define(name, {
+    type: "gauge",
+    help,
+    labelNames,
+    values,
+    set(labels = {}, v) {
+      if (typeof v === "number" && Number.isFinite(v)) values.set(labelKey(labelNames, labels), v);
+    }
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return define(name, {
+    type: "histogram",
+    help,
+    labelNames,
+    buckets,
+    series,
+    observe(labels = {}, v) {
+      if (typeof v !== "number" || !Number.isFinite(v)) return;
+      const k = labelKey(labelNames, labels);
+      if (!series.has(k)) series.set(k, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(k);
+      buckets.forEach((b, i) => {
+        if (v <= b) s.counts[i] += 1;
+      });
+      s.sum += v;
+      s.count += 1;
+    }
+  });
+}
+
+/**
+ * Time an async call into a histogram (seconds), labelled with outcome="ok"|"error".
+ */
+export async function timed(hist, labels, fn) {
+  const started = process.hrtime.bigint();
+  let outcome = "ok";
+  try {
+    return await fn();
+  } catch (e) {
+    outcome = "error";
+    throw e;
+  } finally {
+    hist.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, m] of registry) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    if (m.type === "histogram") {
+      for (const [k, s] of m.series) {
+        m.buckets.forEach((b, i) => lines.push(`${name}_bucket${renderLabels(m.labelNames, k, `le="${b}"`)} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${renderLabels(m.labelNames, k, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${renderLabels(m.labelNames, k)} ${s.sum}`);
+        lines.push(`${name}_count${renderLabels(m.labelNames, k)} ${s.count}`);
+      }
+    } else {
+      for (const [k, v] of m.values) lines.push(`${name}${renderLabels(m.labelNames, k)} ${v}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
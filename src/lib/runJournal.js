@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+import { nowIsoWithOffset } from "./time.js";
+
+function pidAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e?.code === "EPERM";
+  }
+}
+
+function readJsonSafe(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// post_done status (see runPass) -> post state; entries without a status predate it and were posts.
+function postDoneState(status) {
+  if (status === "revert") return "failed";
+  if (status === "unconfirmed") return "pending";
+  return "posted";
+}
+
+/**
+ * Run journal + lock files, so scheduled runs are idempotent across restarts and double cron fires.
+ *
+ * - run_journal (storage collection): append-only events (run_start/run_end, post_intent/post_done/
+ *   post_failed/post_skipped) keyed by a per-strategy, per-day idempotency key.
+ * - locks/<name>.lock: one live holder per scheduled group; stale locks (dead pid, previous process
+ *   incarnation, or older than staleLockMs) are taken over.
+ */
+export class RunJournal {
+  /**
+   * @param {{ dir: string, store: object, staleLockMs?: number }} opts - store: see openStorage()
+   */
+  constructor({ dir, store, staleLockMs = 30 * 60 * 1000 }) {
+    this.store = store;
+    this.lockDir = path.join(dir, "locks");
+    this.staleLockMs = staleLockMs;
+    this._held = new Set();
+  }
+
+  record(event, fields = {}) {
+    this.store.append("run_journal", { timestamp: nowIsoWithOffset(), event, ...fields });
+  }
+
+  /**
+   * Latest post state per idempotency key: "pending" | "posted" | "failed" | "skipped".
+   * Only a mined or broadcast tx counts as posted: a revert failed, and an unconfirmed (likely
+   * dropped) tx stays pending so the next run checks the chain before posting again.
+   * @returns {Map<string,string>}
+   */
+  postStates() {
+    const states = new Map();
+    for (const e of this.store.read("run_journal")) {
+      if (!e?.key) continue;
+      if (e.event === "post_intent") states.set(e.key, "pending");
+      else if (e.event === "post_done") states.set(e.key, postDoneState(e.status));
+      else if (e.event === "post_failed") states.set(e.key, "failed");
+      else if (e.event === "post_skipped") states.set(e.key, "skipped");
+    }
+    return states;
+  }
+
+  /**
+   * Try to take the named lock. Returns a handle, or null if a live run holds it.
+   */
+  acquireLock(name, runId) {
+    fs.mkdirSync(this.lockDir, { recursive: true });
+    const file = path.join(this.lockDir, `${String(name).replace(/[^A-Za-z0-9._-]/g, "_")}.lock`);
+    const body = JSON.stringify({ run_id: runId, pid: process.pid, started_at: new Date().toISOString() });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(file, body, { flag: "wx" });
+        this._held.add(file);
+        return { file, runId };
+      } catch (e) {
+        if (e?.code !== "EEXIST") throw e;
+      }
+
+      const holder = readJsonSafe(file);
+      const age = Date.now() - Date.parse(holder?.started_at);
+      // Same pid but not held by us: a previous incarnation (containers reuse pid 1).
+      const orphaned = holder?.pid === process.pid ? !this._held.has(file) : !pidAlive(holder?.pid);
+      const stale = !holder || !(age < this.staleLockMs) || orphaned;
+      if (!stale) return null;
+      fs.rmSync(file, { force: true });
+    }
+    return null;
+  }
+
+  releaseLock(lock) {
+    if (!lock) return;
+    const holder = readJsonSafe(lock.file);
+    if (holder?.run_id === lock.runId) fs.rmSync(lock.file, { force: true });
+    this._held.delete(lock.file);
+  }
+}
@@ -0,0 +1,87 @@
+import { nowIsoWithOffset } from "./time.js";
+
+/**
+ * One record per run (storage collection "runs"), written even when the run crashes before
+ * reaching the strategy loop.
+ *
+ * {
+ *   run_id, run_type, status: "ok"|"error", started_at, finished_at, duration_ms, strategies,
+ *   providers: [{ provider, symbol, outcome: "ok"|"fail", duration_ms, error? }],
+ *   counts: { strategies, decided, cache_hits, fallbacks, fell_back_to_cash, skipped, posted, post_failed },
+ *   errors,   // provider failures + model failures + failed posts + crash
+ *   error     // crash message (status "error" only)
+ * }
+ */
+export class RunSummary {
+  /**
+   * @param {{ runId: string, runType: string, strategies: string[] }} opts
+   */
+  constructor({ runId, runType, strategies }) {
+    this.runId = runId;
+    this.runType = runType;
+    this.strategies = strategies;
+    this.startedAt = nowIsoWithOffset();
+    this.startedMs = Date.now();
+    this.finishedAt = null;
+    this.providers = [];
+    this.counts = { strategies: strategies.length, decided: 0, cache_hits: 0, fallbacks: 0, fell_back_to_cash: 0, skipped: 0, posted: 0, post_failed: 0 };
+    this.errors = 0;
+    this.error = null;
+  }
+
+  /**
+   * Time one provider call. Failures are counted and rethrown.
+   */
+  async timeProvider(provider, symbol, fn) {
+    const started = Date.now();
+    try {
+      const out = await fn();
+      this.providers.push({ provider, symbol, outcome: "ok", duration_ms: Date.now() - started });
+      return out;
+    } catch (e) {
+      this.providers.push({
+        provider,
+        symbol,
+        outcome: "fail",
+        duration_ms: Date.now() - started,
+        error: String(e?.message || e).slice(0, 300)
+      });
+      this.errors += 1;
+      throw e;
+    }
+  }
+
+  count(name, n = 1) {
+    this.counts[name] = (this.counts[name] || 0) + n;
+  }
+
+  addError() {
+    this.errors += 1;
+  }
+
+  finish(err = null) {
+    this.finishedAt = nowIsoWithOffset();
+    this.durationMs = Date.now() - this.startedMs;
+    if (err) {
+      this.error = String(err?.message || err).slice(0, 800);
+      this.errors += 1;
+    }
+  }
+
+  toRecord() {
+    return {
+      timestamp: this.startedAt,
+      run_id: this.runId,
+      run_type: this.runType,
+      status: this.error ? "error" : "ok",
+      started_at: this.startedAt,
+      finished_at: this.finishedAt,
+      duration_ms: this.durationMs ?? null,
+      strategies: this.strategies,
+      providers: this.providers,
+      counts: this.counts,
+      errors: this.errors,
+      ...(this.error ? { error: this.error } : {})
+    };
+  }
+}
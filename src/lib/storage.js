@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { readNdjson, appendNdjsonLine } from "./history.js";
+
+/**
+ * Record storage for signals, derivatives/sentiment history, the run journal, run summaries and
+ * the model spend of backtests (which log no signals but still count against budgets).
+ *
+ * - ndjson (default): one append-only file per collection under LOG_DIR (signals.ndjson, ...)
+ * - sqlite: one table per collection in a single database file. WAL mode lets the HTTP API or a
+ *   dashboard read while a run appends, and symbol/strategy/run_id are indexed so "last N for X"
+ *   no longer scans the whole history.
+ *
+ * Both backends return records oldest -> newest.
+ */
+
+// collection -> NDJSON file name (also the SQLite table name, minus the extension)
+export const COLLECTIONS = {
+  signals: "signals.ndjson",
+  derivatives_history: "derivatives_history.ndjson",
+  sentiment_history: "sentiment_history.ndjson",
+  run_journal: "run_journal.ndjson",
+  runs: "runs.ndjson",
+  model_spend: "model_spend.ndjson"
+};
+
+export const STORAGE_BACKENDS = ["ndjson", "sqlite"];
+
+function checkCollection(collection) {
+  if (!Object.hasOwn(COLLECTIONS, collection)) throw new Error(`Unknown storage collection: ${collection}`);
+}
+
+function matches(r, { symbol, strategy, runId }) {
+  if (!r) return false;
+  if (symbol !== undefined && r.symbol !== symbol) return false;
+  if (strategy !== undefined && r.strategy !== strategy) return false;
+  if (runId !== undefined && r.run_id !== runId) return false;
+  return true;
+}
+
+/**
+ * @typedef {object} ReadQuery
+ * @property {string} [symbol]
+ * @property {string} [strategy]
+ * @property {string} [runId]
+ * @property {number} [limit] - only the last `limit` matching records
+ */
+
+export class NdjsonStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.backend = "ndjson";
+    this.location = dir;
+  }
+
+  filePath(collection) {
+    checkCollection(collection);
+    return path.join(this.dir, COLLECTIONS[collection]);
+  }
+
+  append(collection, record) {
+    appendNdjsonLine(this.filePath(collection), record);
+  }
+
+  /**
+   * @param {string} collection
+   * @param {ReadQuery} [query]
+   */
+  read(collection, query = {}) {
+    const out = readNdjson(this.filePath(collection)).filter((r) => matches(r, query));
+    return query.limit ? out.slice(-query.limit) : out;
+  }
+
+  close() {}
+}
+
+function loadSqlite() {
+  try {
+    return createRequire(import.meta.url)("better-sqlite3");
+  } catch (e) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${e.message}`);
+  }
+}
+
+export class SqliteStore {
+  constructor({ file }) {
+    const Database = loadSqlite();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.backend = "sqlite";
+    this.location = file;
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("busy_timeout = 5000");
+
+    for (const table of Object.keys(COLLECTIONS)) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT,
+          symbol TEXT,
+          strategy TEXT,
+          run_id TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS ${table}_symbol ON ${table} (symbol, id);
+        CREATE INDEX IF NOT EXISTS ${table}_strategy ON ${table} (strategy, id);
+        CREATE INDEX IF NOT EXISTS ${table}_run_id ON ${table} (run_id);
+      `);
+    }
+    this._inserts = new Map();
+  }
+
+  _insert(collection) {
+    checkCollection(collection);
+    if (!this._inserts.has(collection)) {
+      this._inserts.set(
+        collection,
+        this.db.prepare(
+          `INSERT INTO ${collection} (timestamp, symbol, strategy, run_id, data)
+           VALUES (@timestamp, @symbol, @strategy, @run_id, @data)`
+        )
+      );
+    }
+    return this._inserts.get(collection);
+  }
+
+  append(collection, record) {
+    this._insert(collection).run({
+      timestamp: record?.timestamp ?? null,
+      symbol: record?.symbol ?? null,
+      strategy: record?.strategy ?? null,
+      run_id: record?.run_id ?? null,
+      data: JSON.stringify(record)
+    });
+  }
+
+  appendMany(collection, records) {
+    this.db.transaction((rows) => {
+      for (const r of rows) this.append(collection, r);
+    })(records);
+  }
+
+  /**
+   * @param {string} collection
+   * @param {ReadQuery} [query]
+   */
+  read(collection, { symbol, strategy, runId, limit } = {}) {
+    checkCollection(collection);
+    const where = [];
+    const params = {};
+    if (symbol !== undefined) {
+      where.push("symbol = @symbol");
+      params.symbol = symbol;
+    }
+    if (strategy !== undefined) {
+      where.push("strategy = @strategy");
+      params.strategy = strategy;
+    }
+    if (runId !== undefined) {
+      where.push("run_id = @run_id");
+      params.run_id = runId;
+    }
+    const filter = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    let sql = `SELECT id, data FROM ${collection} ${filter} ORDER BY id`;
+    if (limit) {
+      sql = `SELECT id, data FROM (SELECT id, data FROM ${collection} ${filter} ORDER BY id DESC LIMIT @limit) ORDER BY id`;
+      params.limit = limit;
+    }
+    return this.db
+      .prepare(sql)
+      .all(params)
+      .map((row) => {
+        try {
+          return JSON.parse(row.data);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  count(collection) {
+    checkCollection(collection);
+    return this.db.prepare(`SELECT COUNT(*) AS n FROM ${collection}`).get().n;
+  }
+
+  clear(collection) {
+    checkCollection(collection);
+    this.db.prepare(`DELETE FROM ${collection}`).run();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * @param {{ backend?: string, dir: string, sqlitePath?: string }} opts
+ *   sqlitePath defaults to <dir>/aisignals.db
+ */
+export function openStorage({ backend = "ndjson", dir, sqlitePath }) {
+  const b = String(backend).trim().toLowerCase();
+  if (b === "ndjson") return new NdjsonStore({ dir });
+  if (b === "sqlite") return new SqliteStore({ file: sqlitePath || path.join(dir, "aisignals.db") });
+  throw new Error(`Invalid STORAGE_BACKEND: ${backend} (expected ${STORAGE_BACKENDS.join("|")})`);
+}
+
+/**
+ * Import the NDJSON files of `dir` into a SQLite store. Collections whose table already holds
+ * records are skipped unless `replace` is set (which empties the table first), so re-running
+ * the migration never duplicates rows.
+ *
+ * @returns {Array<{collection:string, file:string, imported:number, skipped?:string}>}
+ */
+export function migrateNdjsonToSqlite({ dir, store, replace = false }) {
+  const source = new NdjsonStore({ dir });
+  const report = [];
+  for (const collection of Object.keys(COLLECTIONS)) {
+    const file = source.filePath(collection);
+    if (!fs.existsSync(file)) {
+      report.push({ collection, file, imported: 0, skipped: "no file" });
+      continue;
+    }
+    const existing = store.count(collection);
+    if (existing && !replace) {
+      report.push({ collection, file, imported: 0, skipped: `table already has ${existing} records (use --replace)` });
+      continue;
+    }
+    const records = source.read(collection);
+    store.db.transaction(() => {
+      if (replace) store.clear(collection);
+      store.appendMany(collection, records);
+    })();
+    report.push({ collection, file, imported: records.length });
+  }
+  return report;
+}
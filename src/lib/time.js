@@ -1,3 +1,5 @@
+import TimeMatcher from "node-cron/src/time-matcher.js";
+
 export function nowIsoWithOffset() {
   // Use runtime locale offset; server in Europe/Paris typically, but not required.
   // We store ISO string with offset if available (Date.toISOString is UTC), so we also store a local ISO.
@@ -11,3 +13,143 @@ export function nowIsoWithOffset() {
   const local = new Date(d.getTime() - tzOffsetMin * 60000).toISOString().replace("Z", "");
   return `${local}${sign}${hh}:${mm}`;
 }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tzOffsetMs(utcMs, timeZone) {
+  const dtf = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  });
+  const parts = Object.fromEntries(dtf.formatToParts(new Date(utcMs)).map((p) => [p.type, p.value]));
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return asUtc - utcMs;
+}
+
+/**
+ * Convert a wall-clock time on a calendar date ("YYYY-MM-DD") in `timeZone` to epoch ms.
+ * Handles DST by re-checking the offset at the resulting instant.
+ */
+export function zonedTimeToUtcMs(dateStr, hour, minute, timeZone) {
+  const [y, m, d] = String(dateStr).split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d, hour, minute);
+  const off1 = tzOffsetMs(guess, timeZone);
+  const ts = guess - off1;
+  const off2 = tzOffsetMs(ts, timeZone);
+  return off2 === off1 ? ts : guess - off2;
+}
+
+export function isIsoDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || "")) && Number.isFinite(Date.parse(`${s}T00:00:00Z`));
+}
+
+/**
+ * Inclusive list of calendar dates ("YYYY-MM-DD") between `from` and `to`.
+ */
+export function eachDate(from, to) {
+  const out = [];
+  const end = Date.parse(`${to}T00:00:00Z`);
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= end; t += DAY_MS) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+// Accepts ISO datetimes or plain dates (UTC); with endOfDay a plain date covers the whole day.
+// Returns ms, null when empty, NaN when unparsable.
+export function parseTimeParam(v, { endOfDay = false } = {}) {
+  if (!v) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    const t = Date.parse(`${v}T00:00:00Z`);
+    return Number.isFinite(t) ? t + (endOfDay ? DAY_MS - 1 : 0) : NaN;
+  }
+  return Date.parse(v);
+}
+
+export function addDays(dateStr, n) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time of a cron expression with fixed minute/hour fields ("m h ..."), else null.
+ * node-cron accepts an optional leading seconds field.
+ */
+export function cronClock(expr) {
+  const f = String(expr || "").trim().split(/\s+/);
+  if (f.length !== 5 && f.length !== 6) return null;
+  const [m, h, dom, mon, dow] = f.length === 6 ? f.slice(1) : f;
+  if (!/^\d+$/.test(m) || !/^\d+$/.test(h)) return null;
+  return { hour: Number(h), minute: Number(m), daily: dom === "*" && mon === "*" && dow === "*" };
+}
+
+/**
+ * True when a cron expression fires at most once per calendar day (fixed second, minute and hour);
+ * scheduled posts are keyed by local date, so a second fire on the same day would be skipped.
+ */
+export function firesAtMostDaily(expr) {
+  const f = String(expr || "").trim().split(/\s+/);
+  return cronClock(expr) !== null && (f.length === 5 || /^\d+$/.test(f[0]));
+}
+
+/**
+ * Human-readable rebalance time for the prompt, e.g. "12:00 Europe/Paris".
+ */
+export function describeRebalanceTime(expr, timeZone) {
+  const clock = cronClock(expr);
+  if (!clock) return `cron "${expr}" (${timeZone})`;
+  const hhmm = `${String(clock.hour).padStart(2, "0")}:${String(clock.minute).padStart(2, "0")}`;
+  return clock.daily ? `${hhmm} ${timeZone}` : `${hhmm} ${timeZone} (cron "${expr}")`;
+}
+
+/**
+ * Calendar date ("YYYY-MM-DD") of `date` in the given IANA timezone.
+ */
+export function localDateIn(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+/**
+ * Most recent fire time (epoch ms, <= nowMs) of a daily cron schedule in `timeZone`;
+ * null for schedules that are not daily at a fixed time.
+ */
+export function previousDailyFireMs(expr, timeZone, nowMs = Date.now()) {
+  const clock = cronClock(expr);
+  if (!clock?.daily) return null;
+  const today = localDateIn(timeZone, new Date(nowMs));
+  const t = zonedTimeToUtcMs(today, clock.hour, clock.minute, timeZone);
+  return t <= nowMs ? t : zonedTimeToUtcMs(addDays(today, -1), clock.hour, clock.minute, timeZone);
+}
+
+/**
+ * First fire time (epoch ms, > afterMs) of a cron schedule that fires at most once a day, checking
+ * its day-of-month/month/weekday fields with node-cron's own matcher; null for other schedules
+ * or when nothing fires within a year.
+ */
+export function nextFireMs(expr, timeZone, afterMs) {
+  const clock = cronClock(expr);
+  if (!clock || !firesAtMostDaily(expr)) return null;
+  const f = String(expr).trim().split(/\s+/);
+  const second = f.length === 6 ? Number(f[0]) : 0;
+  const matcher = new TimeMatcher(String(expr).trim(), timeZone);
+  const start = localDateIn(timeZone, new Date(afterMs));
+  for (let i = 0; i <= 366; i++) {
+    const t = zonedTimeToUtcMs(addDays(start, i), clock.hour, clock.minute, timeZone) + second * 1000;
+    if (t > afterMs && matcher.match(new Date(t))) return t;
+  }
+  return null;
+}
@@ -0,0 +1,99 @@
+import { createLogger } from "../lib/logger.js";
+import {
+  OUTPUT_JSON_SCHEMA,
+  OutputSchema,
+  billedError,
+  decisionInput,
+  describeAxiosError,
+  maxRetries,
+  postWithRetry,
+  recordUsage
+} from "./llmShared.js";
+
+const log = createLogger("provider:anthropic");
+
+export const ANTHROPIC_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Messages API `usage` -> { model, input_tokens, cached_input_tokens, output_tokens }.
+// Anthropic reports cache reads/writes outside input_tokens; fold them in so cost math matches OpenAI's.
+function readUsage(model, usage) {
+  if (!usage) return null;
+  const cached = usage.cache_read_input_tokens ?? 0;
+  return {
+    model,
+    input_tokens: (usage.input_tokens ?? 0) + (usage.cache_creation_input_tokens ?? 0) + cached,
+    cached_input_tokens: cached,
+    output_tokens: usage.output_tokens ?? 0
+  };
+}
+
+/**
+ * Anthropic Messages API. Structured output is obtained by forcing a single tool call whose
+ * input schema is the decision contract.
+ */
+export class AnthropicProvider {
+  /**
+   * @param {{ apiKey: string, model: string, baseUrl?: string }} opts
+   */
+  constructor({ apiKey, model, baseUrl = ANTHROPIC_BASE_URL }) {
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = String(baseUrl).replace(/\/+$/, "");
+  }
+
+  async decideSignal({ symbol, features, context, instructions, correction }) {
+    if (!instructions) throw new Error("decideSignal needs rendered instructions (see strategy/prompts.js).");
+    const input = decisionInput({ symbol, features, context, correction });
+    const { data, usage } = await this.decideJson({ instructions, input, name: "signal_output", schema: OUTPUT_JSON_SCHEMA });
+    try {
+      return { ...OutputSchema.parse(data), usage };
+    } catch (e) {
+      throw billedError(e, usage);
+    }
+  }
+
+  /**
+   * One forced tool call named `name` whose input schema is `schema`; `data` is the tool input.
+   * @param {{ instructions: string, input: string, name: string, schema: object }} req
+   */
+  async decideJson({ instructions, input, name, schema }) {
+    const body = {
+      model: this.model,
+      max_tokens: 2048,
+      system: instructions,
+      messages: [{ role: "user", content: input }],
+      tools: [{ name, description: "Record today's decision.", input_schema: schema }],
+      tool_choice: { type: "tool", name }
+    };
+
+    let response;
+    try {
+      response = await postWithRetry(
+        `${this.baseUrl}/messages`,
+        body,
+        {
+          headers: {
+            "x-api-key": this.apiKey,
+            "anthropic-version": ANTHROPIC_VERSION,
+            "Content-Type": "application/json"
+          },
+          timeout: 60_000
+        },
+        { retries: maxRetries(), baseDelayMs: 750, provider: "anthropic", model: this.model, log }
+      );
+    } catch (err) {
+      const info = describeAxiosError(err);
+      log.error("messages error", { model: this.model, ...info });
+      throw new Error(`Anthropic messages failed: ${JSON.stringify(info)}`);
+    }
+
+    const usage = readUsage(this.model, response?.data?.usage);
+    recordUsage("anthropic", usage, log);
+
+    const call = (response?.data?.content || []).find((c) => c?.type === "tool_use" && c.name === name);
+    if (!call) throw billedError(new Error(`Anthropic response missing ${name} tool call.`), usage);
+
+    return { data: call.input, usage };
+  }
+}
@@ -1,4 +1,7 @@
 import axios from "axios";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("provider:binance_futures");
 
 const BASE = "https://fapi.binance.com";
 
@@ -109,6 +112,7 @@ export async function fetchPremiumIndex({ symbol }) {
 }
 
 export async function fetchDerivativesSnapshot({ symbol }) {
+  log.debug("snapshot", { symbol });
   // Best-effort: if any endpoint fails, throw and caller can ignore.
   // We intentionally compute temporal features *from the same run's fetched histories*
   // so they are available even on --run-now (no local history needed).
@@ -1,4 +1,7 @@
 import axios from "axios";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("provider:coingecko");
 
 // Root URLs (CoinGecko):
 // - Demo (free) plan: https://api.coingecko.com/api/v3  with header x-cg-demo-api-key
@@ -36,6 +39,7 @@ export async function fetchMarketChart({ apiKey, id, vsCurrency, days, apiBase }
   const base = apiBase || DEFAULT_API_BASE;
   const url = `${base}/coins/${encodeURIComponent(id)}/market_chart`;
   const params = { vs_currency: vsCurrency, days };
+  log.debug("market_chart", { id, days });
 
   try {
     const res = await axios.get(url, {
@@ -46,7 +50,7 @@ export async function fetchMarketChart({ apiKey, id, vsCurrency, days, apiBase }
     return res.data;
   } catch (err) {
     const info = describeAxiosError(err);
-    console.error("[CoinGecko] market_chart error:", JSON.stringify(info, null, 2));
+    log.error("market_chart error", info);
     throw new Error(`CoinGecko market_chart failed: ${JSON.stringify(info)}`);
   }
 }
@@ -76,3 +80,58 @@ export async function fetchPriceSeries({
 
   return { dailyPrices, hourlyPrices };
 }
+
+/**
+ * /coins/{id}/market_chart/range (unix seconds)
+ * - Ranges of 1..90 days return hourly points.
+ * - Larger ranges return daily points.
+ * Note: Demo/free keys only reach ~365 days back.
+ */
+export async function fetchMarketChartRange({ apiKey, id, vsCurrency, fromMs, toMs, apiBase }) {
+  const base = apiBase || DEFAULT_API_BASE;
+  const url = `${base}/coins/${encodeURIComponent(id)}/market_chart/range`;
+  const params = { vs_currency: vsCurrency, from: Math.floor(fromMs / 1000), to: Math.floor(toMs / 1000) };
+  log.debug("market_chart/range", { id, from: params.from, to: params.to });
+
+  try {
+    const res = await axios.get(url, {
+      headers: buildHeaders(apiKey, base),
+      params,
+      timeout: 60_000
+    });
+    return res.data;
+  } catch (err) {
+    const info = describeAxiosError(err);
+    log.error("market_chart/range error", info);
+    throw new Error(`CoinGecko market_chart/range failed: ${JSON.stringify(info)}`);
+  }
+}
+
+/**
+ * Historical counterpart of fetchPriceSeries for a fixed window [fromMs, toMs].
+ * Daily points come from one long range; hourly points are stitched from <=89-day chunks
+ * so CoinGecko keeps hourly granularity.
+ */
+export async function fetchPriceSeriesRange({ apiKey, id, vsCurrency, fromMs, toMs, hourlyFromMs = fromMs, apiBase }) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const CHUNK_MS = 89 * DAY_MS;
+
+  // Force a >90 day window so the daily request never degrades to hourly points.
+  const dailyFrom = Math.min(fromMs, toMs - 91 * DAY_MS);
+  const daily = await fetchMarketChartRange({ apiKey, id, vsCurrency, fromMs: dailyFrom, toMs, apiBase });
+
+  const hourlyRaw = [];
+  for (let start = hourlyFromMs; start < toMs; start += CHUNK_MS) {
+    const end = Math.min(toMs, start + CHUNK_MS);
+    const chunk = await fetchMarketChartRange({ apiKey, id, vsCurrency, fromMs: start, toMs: end, apiBase });
+    hourlyRaw.push(...(chunk.prices || []));
+  }
+
+  const byTs = new Map(hourlyRaw.map(([ts, price]) => [ts, price]));
+  const dailyPrices = (daily.prices || []).map(([ts, price]) => ({ ts, price }));
+  const hourlyPrices = Array.from(byTs.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([ts, price]) => ({ ts, price }));
+
+  return { dailyPrices, hourlyPrices };
+}
@@ -1,4 +1,7 @@
 import axios from "axios";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("provider:fear_greed");
 
 // Alternative.me Fear & Greed index (public).
 // Docs are informal; response typically:
@@ -6,6 +9,7 @@ import axios from "axios";
 const URL = "https://api.alternative.me/fng/";
 
 export async function fetchFearGreed({ limit = 1 } = {}) {
+  log.debug("fetch", { limit });
   const res = await axios.get(URL, { params: { limit, format: "json" }, timeout: 60_000 });
   const d = res.data || {};
   const row = Array.isArray(d.data) && d.data.length ? d.data[0] : null;
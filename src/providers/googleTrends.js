@@ -1,4 +1,8 @@
 import googleTrends from "google-trends-api";
+import { throughCassette } from "../lib/cassette.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("provider:google_trends");
 
 function isNum(x) {
   return typeof x === "number" && Number.isFinite(x);
@@ -28,8 +32,13 @@ function std(arr) {
  * - Best-effort; caller should catch errors and treat as optional.
  */
 export async function fetchGoogleTrends({ keyword, geo = "", timeframe = "today 3-m" }) {
-  const raw = await googleTrends.interestOverTime({ keyword, geo, timeframe });
-  const json = JSON.parse(raw);
+  log.debug("interestOverTime", { keyword, geo, timeframe });
+  // google-trends-api uses its own https client, so it is routed through the cassette here.
+  const raw = await throughCassette(
+    { host: "trends.google.com", method: "GET", url: "interestOverTime", params: { keyword, geo, timeframe } },
+    async () => ({ body: await googleTrends.interestOverTime({ keyword, geo, timeframe }) })
+  );
+  const json = JSON.parse(raw.body);
   const timeline = json?.default?.timelineData || [];
 
   const values = timeline
@@ -1,4 +1,7 @@
 import axios from "axios";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("provider:kraken_futures");
 
 /**
  * Kraken Futures public REST API.
@@ -161,6 +164,7 @@ function pickClosestBefore(arr, targetMs) {
 
 export async function fetchDerivativesSnapshot({ symbol }) {
   const kSym = await resolveKrakenSymbol(symbol);
+  log.debug("snapshot", { symbol, kraken_symbol: kSym });
 
   const [ticker, orderbook, funding] = await Promise.all([
     fetchTickerBySymbol({ symbol: kSym }),
@@ -0,0 +1,36 @@
+import { OpenAIProvider, OPENAI_BASE_URL } from "./openai.js";
+import { AnthropicProvider, ANTHROPIC_BASE_URL } from "./anthropic.js";
+import { MockProvider } from "./mock.js";
+
+/**
+ * Decision backends. Every provider exposes
+ *   decideSignal({ symbol, features, context, instructions, correction? }) -> { signal, explanation, confidence, usage }
+ *   decideJson({ instructions, input, name, schema, dryRun? }) -> { data, usage }   (other structured answers)
+ * where usage is { model, input_tokens, cached_input_tokens, output_tokens } or null.
+ *
+ * - openai: OpenAI Responses API (api "chat" switches to Chat Completions)
+ * - openai-compatible: a self-hosted/third-party server speaking the OpenAI API; needs a base URL,
+ *   uses Chat Completions unless api "responses" is set, API key optional
+ * - anthropic: Anthropic Messages API
+ * - mock: canned answers, no network (see mock.js)
+ */
+export const LLM_PROVIDERS = ["openai", "openai-compatible", "anthropic", "mock"];
+
+/**
+ * @param {{ provider?: string, model: string, baseUrl?: string, api?: string, apiKey?: string }} opts
+ */
+export function createDecisionProvider({ provider = "openai", model, baseUrl, api, apiKey }) {
+  switch (provider) {
+    case "openai":
+      return new OpenAIProvider({ apiKey, model, baseUrl: baseUrl || OPENAI_BASE_URL, api: api || "responses" });
+    case "openai-compatible":
+      if (!baseUrl) throw new Error("provider openai-compatible needs a baseUrl (strategy baseUrl or OPENAI_COMPATIBLE_BASE_URL)");
+      return new OpenAIProvider({ apiKey, model, baseUrl, api: api || "chat", provider });
+    case "anthropic":
+      return new AnthropicProvider({ apiKey, model, baseUrl: baseUrl || ANTHROPIC_BASE_URL });
+    case "mock":
+      return new MockProvider({ model });
+    default:
+      throw new Error(`Unknown LLM provider: ${provider} (expected ${LLM_PROVIDERS.join("|")})`);
+  }
+}
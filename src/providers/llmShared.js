@@ -0,0 +1,162 @@
+import axios from "axios";
+import { z } from "zod";
+import { counter, histogram, timed } from "../lib/prometheus.js";
+
+/**
+ * Pieces shared by every decision backend (openai, openai-compatible, anthropic): the input
+ * message, the output contract, HTTP retries and usage accounting. Instructions come from the
+ * strategy's prompt template (strategy/prompts.js).
+ */
+
+const requestSeconds = histogram(
+  "aisignals_llm_request_seconds",
+  "Model API request latency including retries",
+  ["provider", "model", "outcome"]
+);
+const retriesTotal = counter("aisignals_llm_retries_total", "Model API requests retried after a transient error", [
+  "provider",
+  "model",
+  "status"
+]);
+const tokensTotal = counter("aisignals_llm_tokens_total", "Model tokens billed", ["provider", "model", "kind"]);
+
+export const SIGNALS = ["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"];
+
+// The explanation's on-chain rules (length, language, ...) are checked and repaired afterwards
+// (strategy/explanation.js), so an overlong answer is not a failed call.
+export const OutputSchema = z.object({
+  signal: z.enum(SIGNALS),
+  explanation: z.string().min(1),
+  confidence: z.number().min(0).max(1)
+});
+
+// JSON Schema twin of OutputSchema, for structured-output APIs (maxLength is a hint to the model).
+export const OUTPUT_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    signal: { type: "string", enum: SIGNALS },
+    explanation: { type: "string", minLength: 1, maxLength: 280 },
+    confidence: { type: "number", minimum: 0, maximum: 1 }
+  },
+  required: ["signal", "explanation", "confidence"]
+};
+
+/**
+ * How long a decision is held, from the strategy's holding period and schedule
+ * (context.constraints, see strategy/promptContext.js).
+ */
+export function taskHorizon(context) {
+  const c = context?.constraints ?? {};
+  const held = String(c.holding_period || "Hold position until the next rebalance").trim().replace(/\.+$/, "");
+  return c.rebalance_time ? `${held}; the strategy rebalances at ${c.rebalance_time}.` : `${held}.`;
+}
+
+// `correction`: re-ask after a broken explanation rule (strategy/explanation.js).
+export function decisionInput({ symbol, features, context, correction }) {
+  const user = {
+    task: `Decide today's position for the given asset. ${taskHorizon(context)}`,
+    symbol,
+    features,
+    context
+  };
+  const input = "INPUT_JSON:\n" + JSON.stringify(user);
+  return correction ? `${input}\n\nCORRECTION:\n${correction}` : input;
+}
+
+function safeJsonKeys(configData) {
+  try {
+    const obj = JSON.parse(configData);
+    return Object.keys(obj);
+  } catch {
+    return null;
+  }
+}
+
+export function describeAxiosError(err) {
+  return {
+    message: err?.message,
+    status: err?.response?.status,
+    statusText: err?.response?.statusText,
+    url: err?.config?.url,
+    method: err?.config?.method,
+    requestBodyKeys: err?.config?.data ? safeJsonKeys(err.config.data) : null,
+    responseData: err?.response?.data
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function shouldRetryAxiosError(err) {
+  const status = err?.response?.status;
+  // Retry on network errors / timeouts (no response), rate limits, and transient server errors.
+  if (!status) return true;
+  if (status === 408 || status === 409 || status === 425 || status === 429) return true;
+  if (status >= 500 && status <= 599) return true;
+  return false;
+}
+
+/**
+ * POST with exponential backoff on transient errors, timed into aisignals_llm_request_seconds.
+ * @param {{ retries?: number, baseDelayMs?: number, provider: string, model: string, log: object }} opts
+ */
+export async function postWithRetry(url, body, axiosConfig, { retries = 3, baseDelayMs = 750, provider, model, log }) {
+  return timed(requestSeconds, { provider, model }, async () => {
+    let attempt = 0;
+    let lastErr = null;
+
+    while (attempt <= retries) {
+      try {
+        return await axios.post(url, body, axiosConfig);
+      } catch (err) {
+        lastErr = err;
+        const retryable = shouldRetryAxiosError(err);
+        if (!retryable || attempt === retries) break;
+
+        retriesTotal.inc({ provider, model, status: err?.response?.status ?? "network" });
+        const jitter = Math.floor(Math.random() * 250);
+        const delay = baseDelayMs * Math.pow(2, attempt) + jitter;
+        log.warn("transient error, retrying", {
+          model,
+          attempt: `${attempt + 1}/${retries + 1}`,
+          status: err?.response?.status ?? null,
+          delay_ms: delay
+        });
+        await sleep(delay);
+        attempt += 1;
+      }
+    }
+    throw lastErr;
+  });
+}
+
+export function maxRetries() {
+  return Math.max(0, Number(process.env.OPENAI_MAX_RETRIES ?? 3));
+}
+
+/**
+ * Count billed tokens; usage is { model, input_tokens, cached_input_tokens, output_tokens } or null.
+ */
+export function recordUsage(provider, usage, log) {
+  if (!usage) return;
+  tokensTotal.inc({ provider, model: usage.model, kind: "input" }, usage.input_tokens);
+  tokensTotal.inc({ provider, model: usage.model, kind: "output" }, usage.output_tokens);
+  log.debug("usage", usage);
+}
+
+/**
+ * Tag an error raised after the API billed a call with that call's usage (err.usage), so a failed
+ * decision still counts against spend and budgets.
+ */
+export function billedError(err, usage) {
+  if (usage && err && typeof err === "object") err.usage = usage;
+  return err;
+}
+
+// Strict JSON first; local models sometimes wrap it in a ```json fence.
+export function parseJsonText(text) {
+  const trimmed = String(text).trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  return JSON.parse(trimmed);
+}
@@ -0,0 +1,27 @@
+import { SIGNALS } from "./llmShared.js";
+
+/**
+ * Offline decision backend for dry runs (provider "mock"): no network, no cost.
+ * The strategy `model` picks the answer: "LONG_ASSET", "LONG_CASH" or "SHORT_ASSET";
+ * any other model name answers LONG_CASH. Other structured calls (decideJson) answer the caller's
+ * `dryRun` value, e.g. an all-cash portfolio.
+ */
+export class MockProvider {
+  constructor({ model }) {
+    this.model = model;
+  }
+
+  async decideSignal() {
+    const signal = SIGNALS.includes(this.model) ? this.model : "LONG_CASH";
+    return {
+      signal,
+      explanation: "Mock decision for a dry run; no model was consulted.",
+      confidence: 0.5,
+      usage: null
+    };
+  }
+
+  async decideJson({ dryRun = null }) {
+    return { data: dryRun, usage: null };
+  }
+}
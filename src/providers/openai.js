@@ -1,164 +1,159 @@
-import axios from "axios";
-import { z } from "zod";
-
-const OutputSchema = z.object({
-  signal: z.enum(["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"]),
-  explanation: z.string().min(1).max(280)
-});
-
-function safeJsonKeys(configData) {
-  try {
-    const obj = JSON.parse(configData);
-    return Object.keys(obj);
-  } catch {
-    return null;
-  }
-}
-
-function describeAxiosError(err) {
+import { createLogger } from "../lib/logger.js";
+import {
+  OUTPUT_JSON_SCHEMA,
+  OutputSchema,
+  billedError,
+  decisionInput,
+  describeAxiosError,
+  maxRetries,
+  parseJsonText,
+  postWithRetry,
+  recordUsage
+} from "./llmShared.js";
+
+const log = createLogger("provider:openai");
+
+export const OPENAI_BASE_URL = "https://api.openai.com/v1";
+export const OPENAI_APIS = ["responses", "chat"];
+
+// Responses API `usage` -> { model, input_tokens, cached_input_tokens, output_tokens }
+function readResponsesUsage(model, usage) {
+  if (!usage) return null;
   return {
-    message: err?.message,
-    status: err?.response?.status,
-    statusText: err?.response?.statusText,
-    url: err?.config?.url,
-    method: err?.config?.method,
-    requestBodyKeys: err?.config?.data ? safeJsonKeys(err.config.data) : null,
-    responseData: err?.response?.data
+    model,
+    input_tokens: usage.input_tokens ?? 0,
+    cached_input_tokens: usage.input_tokens_details?.cached_tokens ?? 0,
+    output_tokens: usage.output_tokens ?? 0
   };
 }
 
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function shouldRetryAxiosError(err) {
-  const status = err?.response?.status;
-  // Retry on network errors / timeouts (no response), rate limits, and transient server errors.
-  if (!status) return true;
-  if (status === 408 || status === 409 || status === 425 || status === 429) return true;
-  if (status >= 500 && status <= 599) return true;
-  return false;
+// Chat Completions `usage` -> same shape
+function readChatUsage(model, usage) {
+  if (!usage) return null;
+  return {
+    model,
+    input_tokens: usage.prompt_tokens ?? 0,
+    cached_input_tokens: usage.prompt_tokens_details?.cached_tokens ?? 0,
+    output_tokens: usage.completion_tokens ?? 0
+  };
 }
 
-async function postWithRetry(url, body, axiosConfig, { retries = 3, baseDelayMs = 750 } = {}) {
-  let attempt = 0;
-  let lastErr = null;
-
-  while (attempt <= retries) {
-    try {
-      return await axios.post(url, body, axiosConfig);
-    } catch (err) {
-      lastErr = err;
-      const retryable = shouldRetryAxiosError(err);
-      if (!retryable || attempt === retries) break;
-
-      const jitter = Math.floor(Math.random() * 250);
-      const delay = baseDelayMs * Math.pow(2, attempt) + jitter;
-      console.warn(
-        `[OpenAI] transient error (attempt ${attempt + 1}/${retries + 1}); retrying in ${delay}ms...`
-      );
-      await sleep(delay);
-      attempt += 1;
+function responsesOutputText(data) {
+  if (data?.output_text) return data.output_text;
+  for (const item of data?.output || []) {
+    if (item?.type === "message") {
+      const textPart = (item?.content || []).find((c) => c.type === "output_text" && c.text);
+      if (textPart) return textPart.text;
     }
   }
-  throw lastErr;
+  return null;
 }
 
+/**
+ * OpenAI, or any server speaking its API (provider "openai-compatible": vLLM, llama.cpp, Ollama, ...).
+ *
+ * - api "responses": POST {baseUrl}/responses with Structured Outputs (OpenAI default)
+ * - api "chat": POST {baseUrl}/chat/completions with response_format json_schema, for servers
+ *   without the Responses API
+ */
 export class OpenAIProvider {
-  constructor({ apiKey, model }) {
+  /**
+   * @param {{ apiKey?: string, model: string, baseUrl?: string, api?: string, provider?: string }} opts
+   *   apiKey may be empty for local servers; provider only labels logs and metrics.
+   */
+  constructor({ apiKey, model, baseUrl = OPENAI_BASE_URL, api = "responses", provider = "openai" }) {
+    if (!OPENAI_APIS.includes(api)) throw new Error(`Invalid api for ${provider}: ${api} (expected ${OPENAI_APIS.join("|")})`);
     this.apiKey = apiKey;
     this.model = model;
+    this.baseUrl = String(baseUrl).replace(/\/+$/, "");
+    this.api = api;
+    this.provider = provider;
   }
 
-  async decideSignal({ symbol, features, context }) {
-    const instructions = [
-      "You are a trading signal engine for a DAILY strategy.",
-      "- LONG_ASSET: fully long the asset",
-      "- LONG_CASH: no position (cash)",
-      "- SHORT_ASSET: short the asset (assume borrowing is possible; no leverage)",
-      "At decision time, you must choose exactly one: LONG_ASSET, LONG_CASH, or SHORT_ASSET.",
-      "Objective: maximize long-term Sharpe ratio (return/volatility) of a strategy that follows your daily signal.",
-      "You MUST base your decision ONLY on the provided JSON inputs (asset regime + optional BTC regime + optional macro + optional derivatives (including liquidity) + optional sentiment + optional trends).",
-      "If context.previous_signals is present, treat it as feedback about what you said recently. Do NOT repeat the same explanation day after day; keep it fresh or say nothing changed.",
-      "If inputs are missing, stale, contradictory, or too uncertain, choose LONG_CASH.",
-      "Output MUST match the required JSON schema exactly. You are producing data that will be written ON-CHAIN. Your explanation MUST be AT MOST 280 CHARACTERS (including spaces and punctuation). If you exceed 280 characters, the signal becomes invalid. Write a SHORT explanation: 1–2 sentences, mostly qualitative. End with a period. Do not include newlines. Write in English only. Do NOT include many numbers; at most one or two key figures if absolutely necessary. Do NOT mention Sharpe ratio or optimization. Do NOT restate the signal; only give the reasoning. SHORT_ASSET is fully allowed. If you expect negative returns over the next holding period, you may choose SHORT_ASSET instead of LONG_CASH."
-    ].join(" ");
-
-    const user = {
-      task: "Decide today's position for the given asset for the next 24h until the next rebalance.",
-      symbol,
-      features,
-      context
-    };
+  async decideSignal({ symbol, features, context, instructions, correction }) {
+    if (!instructions) throw new Error("decideSignal needs rendered instructions (see strategy/prompts.js).");
+    const input = decisionInput({ symbol, features, context, correction });
+    const { data, usage } = await this.decideJson({ instructions, input, name: "signal_output", schema: OUTPUT_JSON_SCHEMA });
+    try {
+      return { ...OutputSchema.parse(data), usage };
+    } catch (e) {
+      throw billedError(e, usage);
+    }
+  }
 
-    // Responses API Structured Outputs:
-    // `text.format` requires a top-level `name` field.
-    const body = {
-      model: this.model,
-      instructions,
-      input: "INPUT_JSON:\n" + JSON.stringify(user),
-      text: {
-        format: {
-          type: "json_schema",
-          name: "signal_output",
-          strict: true,
-          schema: {
-            type: "object",
-            additionalProperties: false,
-            properties: {
-              signal: { type: "string", enum: ["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"] },
-              explanation: { type: "string", minLength: 1, maxLength: 280 }
-            },
-            required: ["signal", "explanation"]
-          }
-        }
-      }
-    };
+  /**
+   * One structured-output call: `data` is the parsed JSON answer (not yet validated beyond the schema
+   * the server enforces), `usage` as in decideSignal.
+   * @param {{ instructions: string, input: string, name: string, schema: object }} req
+   */
+  async decideJson({ instructions, input, name, schema }) {
+    const { url, body } =
+      this.api === "chat" ? this.chatRequest(instructions, input, name, schema) : this.responsesRequest(instructions, input, name, schema);
 
     let response;
     try {
-      const maxRetries = Math.max(0, Number(process.env.OPENAI_MAX_RETRIES ?? 3));
       response = await postWithRetry(
-        "https://api.openai.com/v1/responses",
+        url,
         body,
         {
           headers: {
-            Authorization: `Bearer ${this.apiKey}`,
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
             "Content-Type": "application/json"
           },
           timeout: 60_000
         },
-        { retries: maxRetries, baseDelayMs: 750 }
+        { retries: maxRetries(), baseDelayMs: 750, provider: this.provider, model: this.model, log }
       );
     } catch (err) {
       const info = describeAxiosError(err);
-      console.error("[OpenAI] responses error:", JSON.stringify(info, null, 2));
-      throw new Error(`OpenAI responses failed: ${JSON.stringify(info)}`);
+      log.error(`${this.api} error`, { provider: this.provider, model: this.model, ...info });
+      throw new Error(`${this.provider} ${this.api} failed: ${JSON.stringify(info)}`);
     }
 
-    const outText = response?.data?.output_text ?? null;
+    // Billed even when the output turns out to be unusable.
+    const data = response?.data;
+    const usage = this.api === "chat" ? readChatUsage(this.model, data?.usage) : readResponsesUsage(this.model, data?.usage);
+    recordUsage(this.provider, usage, log);
+
+    const text = this.api === "chat" ? data?.choices?.[0]?.message?.content ?? null : responsesOutputText(data);
+    if (!text) throw billedError(new Error(`${this.provider} response missing output text.`), usage);
+
+    try {
+      return { data: parseJsonText(text), usage };
+    } catch (e) {
+      throw billedError(e, usage);
+    }
+  }
 
-    let parsed;
-    if (outText) {
-      parsed = JSON.parse(outText);
-    } else {
-      const output = response?.data?.output || [];
-      let text = null;
-      for (const item of output) {
-        if (item?.type === "message") {
-          const content = item?.content || [];
-          const textPart = content.find((c) => c.type === "output_text" && c.text);
-          if (textPart) {
-            text = textPart.text;
-            break;
-          }
+  // Responses API Structured Outputs: `text.format` requires a top-level `name` field.
+  responsesRequest(instructions, input, name, schema) {
+    return {
+      url: `${this.baseUrl}/responses`,
+      body: {
+        model: this.model,
+        instructions,
+        input,
+        text: {
+          format: { type: "json_schema", name, strict: true, schema }
         }
       }
-      if (!text) throw new Error("OpenAI response missing output_text.");
-      parsed = JSON.parse(text);
-    }
+    };
+  }
 
-    return OutputSchema.parse(parsed);
+  chatRequest(instructions, input, name, schema) {
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      body: {
+        model: this.model,
+        messages: [
+          { role: "system", content: instructions },
+          { role: "user", content: input }
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name, strict: true, schema }
+        }
+      }
+    };
   }
-}
\ No newline at end of file
+}
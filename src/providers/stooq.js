@@ -1,4 +1,7 @@
 import axios from "axios";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("provider:stooq");
 
 const UA = "Mozilla/5.0 (aisignals; +https://example.local)";
 
@@ -14,6 +17,7 @@ function detectDelimiter(headerLine) {
  * Returns array sorted oldest -> newest: [{date, close}]
  */
 export async function fetchStooqDaily({ symbol, count = 4 }) {
+  log.debug("daily", { symbol, count });
   const url = "https://stooq.com/q/d/l/";
   const res = await axios.get(url, {
     params: { s: symbol, i: "d", c: count },
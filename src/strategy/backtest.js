@@ -0,0 +1,109 @@
+import { buildFeatures } from "./features.js";
+import { positionForSignal, summarizeReturns, equityCurve } from "../lib/metrics.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+/**
+ * Cut historical price series down to what a live run at `asOfMs` would have received
+ * from fetchPriceSeries (daysDaily=365, daysHourly=14).
+ * CoinGecko appends the current price as the last "daily" point, so we mimic that with the
+ * latest hourly print.
+ */
+export function truncateSeries({ dailyPrices, hourlyPrices }, asOfMs, { daysDaily = 365, daysHourly = 14 } = {}) {
+  const daily = dailyPrices.filter((p) => p.ts <= asOfMs && p.ts >= asOfMs - daysDaily * DAY_MS);
+  const hourly = hourlyPrices.filter((p) => p.ts <= asOfMs && p.ts >= asOfMs - daysHourly * DAY_MS);
+  const lastHourly = hourly[hourly.length - 1];
+  if (lastHourly && (!daily.length || lastHourly.ts > daily[daily.length - 1].ts)) daily.push(lastHourly);
+  return { dailyPrices: daily, hourlyPrices: hourly };
+}
+
+/**
+ * Last known price at or before `ts` (within `maxAgeMs`), or null.
+ */
+export function priceAt(prices, ts, maxAgeMs = 3 * 60 * 60 * 1000) {
+  for (let i = prices.length - 1; i >= 0; i--) {
+    if (prices[i].ts > ts) continue;
+    return ts - prices[i].ts <= maxAgeMs ? prices[i].price : null;
+  }
+  return null;
+}
+
+/**
+ * Replay one strategy over a list of rebalances.
+ *
+ * @param {object} p
+ * @param {Array<{date:string, ts:number}>} p.rebalances - one entry per decision day, plus a trailing
+ *   entry used only as the exit of the last position
+ * @param {{dailyPrices:Array, hourlyPrices:Array}} p.series - full historical series for the asset
+ * @param {(p:{asOfMs:number, features:object, previousSignals:Array}) => object} p.buildPayload
+ * @param {(payload:object) => Promise<{signal:string, explanation:string}>} p.decide
+ * @param {(p:{features:object, previousSignals:Array}) => object} [p.fallback] - decision when `decide` throws (default: cash)
+ * @param {number} [p.nSignalsFeedback] - how many past simulated signals to feed back as context
+ */
+export async function runBacktest({ rebalances, series, buildPayload, decide, fallback, nSignalsFeedback = 0, onDay }) {
+  const days = [];
+  const previousSignals = [];
+
+  for (let i = 0; i < rebalances.length - 1; i++) {
+    const { date, ts } = rebalances[i];
+    const exitTs = rebalances[i + 1].ts;
+    const features = buildFeatures(truncateSeries(series, ts));
+    const price = priceAt(series.hourlyPrices, ts);
+    const exitPrice = priceAt(series.hourlyPrices, exitTs);
+
+    let decision;
+    let aiError = null;
+    if (!isNum(price) || !features?.meta?.lastDailyTs) {
+      decision = { signal: "LONG_CASH", explanation: "Insufficient or missing market data from provider; defaulting to cash." };
+    } else {
+      const payload = buildPayload({
+        asOfMs: ts,
+        features,
+        previousSignals: nSignalsFeedback > 0 ? previousSignals.slice(-nSignalsFeedback) : []
+      });
+      try {
+        decision = await decide(payload);
+      } catch (e) {
+        aiError = String(e?.message || e);
+        decision = fallback
+          ? fallback({ features, previousSignals })
+          : { signal: "LONG_CASH", explanation: "Defaulting to cash (AI unavailable)." };
+      }
+    }
+
+    const position = positionForSignal(decision.signal);
+    const assetReturn = isNum(price) && isNum(exitPrice) && price !== 0 ? (exitPrice - price) / price : null;
+    const day = {
+      date,
+      timestamp: new Date(ts).toISOString(),
+      signal: decision.signal,
+      explanation: decision.explanation,
+      ai_error: aiError,
+      ...(decision.fallback ? { fallback: decision.fallback } : {}),
+      position,
+      price,
+      exit_price: exitPrice,
+      asset_return: assetReturn,
+      return: isNum(assetReturn) ? position * assetReturn : null
+    };
+    days.push(day);
+    previousSignals.push({ timestamp: day.timestamp, signal: day.signal, explanation: day.explanation });
+    if (onDay) onDay(day);
+  }
+
+  const scored = days.filter((d) => isNum(d.return));
+  const returns = scored.map((d) => d.return);
+  const equity = equityCurve(returns);
+  scored.forEach((d, i) => {
+    d.equity = equity[i];
+  });
+
+  return {
+    days,
+    metrics: summarizeReturns({ returns, positions: scored.map((d) => d.position) })
+  };
+}
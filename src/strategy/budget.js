@@ -0,0 +1,150 @@
+import { z } from "zod";
+import { localDateIn } from "../lib/time.js";
+
+/**
+ * Model spend: token usage -> estimated USD cost, and per-strategy budget caps.
+ *
+ * strategies.json:
+ *   "budget": { "dailyUsd": 0.5, "monthlyUsd": 10 }   // either or both
+ *
+ * Spend is summed from the `usage.cost_usd` of the strategy's logged decisions (scheduled and
+ * test runs alike, fallbacks included: calls that were billed but failed still count) and of its
+ * backtest calls (the model_spend collection), per local day / month in the strategy timezone.
+ * Once a cap is reached the strategy skips the model and uses its fallback until the period
+ * rolls over; a backtest falls back for its remaining days.
+ */
+
+// List prices, USD per 1M tokens, matched by model-name prefix whatever the backend.
+// Override or extend with OPENAI_PRICES (same shape, JSON), e.g. for self-hosted models.
+export const DEFAULT_PRICES = {
+  "gpt-5.2": { input: 1.75, cached_input: 0.175, output: 14 },
+  "gpt-5": { input: 1.25, cached_input: 0.125, output: 10 },
+  "gpt-5-mini": { input: 0.25, cached_input: 0.025, output: 2 },
+  "gpt-5-nano": { input: 0.05, cached_input: 0.005, output: 0.4 },
+  "gpt-4.1": { input: 2, cached_input: 0.5, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, cached_input: 0.1, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, cached_input: 0.025, output: 0.4 },
+  "gpt-4o": { input: 2.5, cached_input: 1.25, output: 10 },
+  "gpt-4o-mini": { input: 0.15, cached_input: 0.075, output: 0.6 },
+  "claude-opus-4-1": { input: 15, cached_input: 1.5, output: 75 },
+  "claude-sonnet-4-5": { input: 3, cached_input: 0.3, output: 15 },
+  "claude-haiku-4-5": { input: 1, cached_input: 0.1, output: 5 }
+};
+
+const PriceSchema = z
+  .object({
+    input: z.number().nonnegative(),
+    cached_input: z.number().nonnegative().optional(),
+    output: z.number().nonnegative()
+  })
+  .strict();
+
+/**
+ * DEFAULT_PRICES merged with an OPENAI_PRICES JSON override.
+ */
+export function loadPriceTable(json) {
+  if (!json) return { ...DEFAULT_PRICES };
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid OPENAI_PRICES (not JSON): ${e.message}`);
+  }
+  const parsed = z.record(PriceSchema).safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`);
+    throw new Error(`Invalid OPENAI_PRICES: ${issues.join("; ")}`);
+  }
+  return { ...DEFAULT_PRICES, ...parsed.data };
+}
+
+// Exact model id first, then the longest known prefix (dated snapshots like "gpt-4o-2024-08-06").
+export function priceFor(model, prices) {
+  if (prices[model]) return prices[model];
+  const key = Object.keys(prices)
+    .filter((k) => model.startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * @param {{model:string, input_tokens:number, cached_input_tokens?:number, output_tokens:number}} usage
+ * @returns {number|null} USD, null when the model has no price
+ */
+export function estimateCost(usage, prices) {
+  const price = usage?.model ? priceFor(usage.model, prices) : null;
+  if (!price) return null;
+  const cached = usage.cached_input_tokens || 0;
+  const uncached = Math.max(0, (usage.input_tokens || 0) - cached);
+  const usd =
+    (uncached * price.input + cached * (price.cached_input ?? price.input) + (usage.output_tokens || 0) * price.output) / 1e6;
+  return Number(usd.toFixed(6));
+}
+
+/**
+ * Sum of two usage records of the same model (re-asks of one call); either may be null.
+ */
+export function addUsage(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return {
+    model: a.model,
+    input_tokens: a.input_tokens + b.input_tokens,
+    cached_input_tokens: a.cached_input_tokens + b.cached_input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens
+  };
+}
+
+/**
+ * Sum the usage of every model call behind one decision (one call, or one per ensemble member).
+ * cost_usd is null if any call could not be priced.
+ */
+export function decisionUsage(usages, prices) {
+  const calls = usages.filter(Boolean);
+  if (!calls.length) return null;
+  const out = { calls: calls.length, input_tokens: 0, cached_input_tokens: 0, output_tokens: 0, cost_usd: 0, unpriced_models: [] };
+  for (const u of calls) {
+    out.input_tokens += u.input_tokens || 0;
+    out.cached_input_tokens += u.cached_input_tokens || 0;
+    out.output_tokens += u.output_tokens || 0;
+    const cost = estimateCost(u, prices);
+    if (cost === null) out.unpriced_models.push(u.model);
+    else out.cost_usd += cost;
+  }
+  out.cost_usd = out.unpriced_models.length ? null : Number(out.cost_usd.toFixed(6));
+  if (!out.unpriced_models.length) delete out.unpriced_models;
+  return out;
+}
+
+/**
+ * @param {object} p
+ * @param {{dailyUsd?:number, monthlyUsd?:number}} [p.budget] - strategy.budget
+ * @param {Array<{timestamp:string, usage?:{cost_usd?:number|null}}>} p.records - the strategy's logged decisions
+ * @param {string} p.timezone
+ * @param {Date} [p.now]
+ * @returns {{exceeded:boolean, period?:string, spent_usd?:number, cap_usd?:number, daily_usd:number, monthly_usd:number}}
+ */
+export function budgetStatus({ budget, records, timezone, now = new Date() }) {
+  const today = localDateIn(timezone, now);
+  const month = today.slice(0, 7);
+  let daily = 0;
+  let monthly = 0;
+  for (const r of records) {
+    const cost = r?.usage?.cost_usd;
+    const ms = Date.parse(r?.timestamp);
+    if (typeof cost !== "number" || !Number.isFinite(ms)) continue;
+    const day = localDateIn(timezone, new Date(ms));
+    if (day.slice(0, 7) !== month) continue;
+    monthly += cost;
+    if (day === today) daily += cost;
+  }
+  const spend = { daily_usd: Number(daily.toFixed(6)), monthly_usd: Number(monthly.toFixed(6)) };
+
+  if (budget?.dailyUsd !== undefined && daily >= budget.dailyUsd) {
+    return { exceeded: true, period: "daily", spent_usd: spend.daily_usd, cap_usd: budget.dailyUsd, ...spend };
+  }
+  if (budget?.monthlyUsd !== undefined && monthly >= budget.monthlyUsd) {
+    return { exceeded: true, period: "monthly", spent_usd: spend.monthly_usd, cap_usd: budget.monthlyUsd, ...spend };
+  }
+  return { exceeded: false, ...spend };
+}
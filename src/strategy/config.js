@@ -0,0 +1,281 @@
+import fs from "fs";
+import path from "path";
+import cron from "node-cron";
+import { z } from "zod";
+import { firesAtMostDaily, isValidTimeZone } from "../lib/time.js";
+import { FEATURE_BLOCKS } from "./featureBlocks.js";
+import { ENSEMBLE_RULES } from "./ensemble.js";
+import { FALLBACK_MODES } from "./fallback.js";
+import { LLM_PROVIDERS } from "../providers/llm.js";
+import { OPENAI_APIS } from "../providers/openai.js";
+import { SIGNALS } from "../providers/llmShared.js";
+import { DEFAULT_PORTFOLIO_PROMPT_ID, DEFAULT_PROMPT_ID, promptExists, templateVariables } from "./prompts.js";
+
+// Contract constraint: strategy name <= 30 chars
+export const MAX_STRATEGY_NAME = 30;
+
+const upper = (s) => s.toUpperCase();
+const ticker = z.string().trim().min(1).transform(upper);
+const optionalTicker = ticker.nullable().optional();
+
+// true = whole block, [paths] = only those sanitized fields (e.g. "daily.trend.rsi14")
+const fieldSelection = z.union([
+  z.boolean(),
+  z.array(z.string().regex(/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/, "expected a dotted field path")).min(1)
+]);
+
+const FeaturesSchema = z
+  .object(
+    Object.fromEntries(FEATURE_BLOCKS.map((b) => [b, b === "previous_signals" ? z.boolean().optional() : fieldSelection.optional()]))
+  )
+  .strict();
+
+// Committee of models (default: the strategy model) x samples, aggregated by `rule`.
+const EnsembleSchema = z
+  .object({
+    models: z.array(z.string().trim().min(1)).min(1).optional(),
+    samples: z.number().int().min(1).max(9).default(1),
+    rule: z.enum(ENSEMBLE_RULES).default("majority")
+  })
+  .strict();
+
+// Confidence tiers -> postSignal weight/leverage (see sizing.js).
+const SizingSchema = z
+  .array(
+    z
+      .object({
+        minConfidence: z.number().min(0).max(1),
+        weight: z.number().int().min(1).max(100),
+        leverage: z.number().int().min(1).max(5).default(1)
+      })
+      .strict()
+  )
+  .min(1)
+  .refine((tiers) => tiers.some((t) => t.minConfidence === 0), "needs a tier with minConfidence 0");
+
+// Post-decision guardrails (see guardrails.js).
+const RiskSchema = z
+  .object({
+    minHoldingDays: z.number().positive().optional(),
+    maxFlipsPerWeek: z.number().int().nonnegative().optional(),
+    maxShortVolPp: z.number().positive().optional(),
+    maxMissingBlocks: z.number().int().nonnegative().optional()
+  })
+  .strict();
+
+// Model spend caps in USD (see budget.js).
+const BudgetSchema = z
+  .object({
+    dailyUsd: z.number().positive().optional(),
+    monthlyUsd: z.number().positive().optional()
+  })
+  .strict();
+
+export const StrategySchema = z
+  .object({
+    symbol: ticker,
+    coingeckoId: z.string().trim().min(1),
+    chainAsset: ticker,
+    model: z.string().trim().min(1),
+    provider: z.enum(LLM_PROVIDERS).default("openai"),
+    baseUrl: z.string().trim().url().optional(),
+    api: z.enum(OPENAI_APIS).optional(),
+    // prompts/<id>.txt (see prompts.js)
+    prompt: z.string().trim().refine(promptExists, "unknown prompt template").default(DEFAULT_PROMPT_ID),
+    allowedPositions: z
+      .array(z.enum(SIGNALS))
+      .min(1)
+      .refine((p) => p.includes("LONG_CASH"), "must include LONG_CASH (the fallback position)")
+      .refine((p) => new Set(p).size === p.length, "duplicate positions")
+      .optional(),
+    version: z.number().int().nonnegative(),
+    type: z.enum(["crypto", "metal"]).optional(),
+    binanceSymbol: optionalTicker,
+    derivativesProxySymbol: optionalTicker,
+    googleTrendsKeyword: z.string().trim().min(1).optional(),
+    cron: z
+      .string()
+      .trim()
+      .refine((v) => cron.validate(v), "invalid cron expression")
+      .refine(firesAtMostDaily, "must fire at most once a day (fixed minute and hour; runs are keyed by local date)")
+      .optional(),
+    timezone: z.string().trim().refine(isValidTimeZone, "invalid IANA timezone").optional(),
+    holdingPeriod: z.string().trim().min(1).optional(),
+    features: FeaturesSchema.optional(),
+    ensemble: EnsembleSchema.optional(),
+    sizing: SizingSchema.optional(),
+    fallback: z.enum(FALLBACK_MODES).default("cash"),
+    risk: RiskSchema.optional(),
+    budget: BudgetSchema.optional()
+  })
+  .strict();
+
+// One allocation call across several strategies (see portfolio.js).
+const PortfolioSchema = z
+  .object({
+    model: z.string().trim().min(1),
+    provider: z.enum(LLM_PROVIDERS).default("openai"),
+    baseUrl: z.string().trim().url().optional(),
+    api: z.enum(OPENAI_APIS).optional(),
+    prompt: z.string().trim().refine(promptExists, "unknown prompt template").default(DEFAULT_PORTFOLIO_PROMPT_ID),
+    symbols: z.array(ticker).min(2).optional()
+  })
+  .strict();
+
+export const StrategiesFileSchema = z
+  .object({ strategies: z.array(StrategySchema).min(1), portfolio: PortfolioSchema.optional() })
+  .strict();
+
+export function buildStrategyName(strategy, runType) {
+  const suffix = runType === "scheduled" ? `v${strategy.version}` : "test";
+  const asset = String(strategy.chainAsset || strategy.symbol || "").trim();
+  const model = String(strategy.model || "").trim();
+
+  let name = `${asset} ${model} ${suffix}`.replace(/\s+/g, " ").trim();
+  if (name.length <= MAX_STRATEGY_NAME) return name;
+
+  // Try removing spaces in model
+  const compactModel = model.replace(/\s+/g, "");
+  name = `${asset} ${compactModel} ${suffix}`.replace(/\s+/g, " ").trim();
+  if (name.length <= MAX_STRATEGY_NAME) return name;
+
+  // Truncate model to fit
+  const fixed = `${asset}  ${suffix}`.replace(/\s+/g, " ").trim();
+  const remaining = MAX_STRATEGY_NAME - fixed.length - 1; // space between asset and model
+  const clippedModel = remaining > 0 ? compactModel.slice(0, remaining) : "";
+  name = `${asset} ${clippedModel} ${suffix}`.replace(/\s+/g, " ").trim();
+
+  return name.slice(0, MAX_STRATEGY_NAME);
+}
+
+function formatPath(p) {
+  return p.reduce((acc, k) => (typeof k === "number" ? `${acc}[${k}]` : acc ? `${acc}.${k}` : String(k)), "");
+}
+
+// One line per problem, e.g. "strategies[1].chainAsset: Required".
+function issueLines(issues) {
+  const out = [];
+  for (const issue of issues) {
+    if (issue.code === "unrecognized_keys") {
+      for (const key of issue.keys) out.push(`${formatPath([...issue.path, key])}: unknown key`);
+    } else {
+      out.push(`${formatPath(issue.path) || "(root)"}: ${issue.message}`);
+    }
+  }
+  return out;
+}
+
+// Distinct strategies must map to distinct scheduled on-chain names once truncated to 30 chars.
+// Manual runs share "ASSET model test" names on purpose: variants that differ only in version,
+// prompt or features are tried side by side under one test name.
+function nameCollisions(list) {
+  const out = [];
+  const seen = new Map();
+  list.forEach((s, i) => {
+    const name = buildStrategyName(s, "scheduled");
+    if (seen.has(name)) {
+      out.push(`strategies[${i}]: strategy name "${name}" collides with strategies[${seen.get(name)}] (names are truncated to ${MAX_STRATEGY_NAME} chars)`);
+    } else {
+      seen.set(name, i);
+    }
+  });
+  return out;
+}
+
+// allowedPositions only reaches the model through a template that lists them (daily-signal-v2).
+// Portfolio members are decided with the portfolio's prompt, which lists each member's positions.
+function promptProblems(list, memberSymbols) {
+  const out = [];
+  list.forEach((s, i) => {
+    if (memberSymbols.has(s.symbol)) return;
+    if (s.allowedPositions && !templateVariables(s.prompt).has("allowed_positions")) {
+      out.push(`strategies[${i}].allowedPositions: prompt "${s.prompt}" does not list allowed positions; use a template with {{allowed_positions}} (e.g. daily-signal-v2)`);
+    }
+  });
+  return out;
+}
+
+function invalidConfig(source, problems) {
+  const err = new Error(`${source} is invalid:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  err.issues = problems;
+  return err;
+}
+
+function portfolioSymbols({ strategies, portfolio }) {
+  if (!portfolio) return new Set();
+  return new Set(portfolio.symbols ?? strategies.map((s) => s.symbol));
+}
+
+// Members are decided in one call: one strategy per symbol, all on one schedule.
+function portfolioProblems(portfolio, list) {
+  const out = [];
+  const symbols = portfolio.symbols ?? list.map((s) => s.symbol);
+  if (symbols.length < 2) out.push("portfolio: needs at least 2 member strategies");
+  if (new Set(symbols).size !== symbols.length) out.push("portfolio.symbols: duplicate symbols");
+  for (const symbol of new Set(symbols)) {
+    const n = list.filter((s) => s.symbol === symbol).length;
+    if (!n) out.push(`portfolio.symbols: no strategy for ${symbol}`);
+    if (n > 1) out.push(`portfolio.symbols: ${symbol} has ${n} strategies; members need exactly one`);
+  }
+  const schedules = new Set(list.filter((s) => symbols.includes(s.symbol)).map((s) => `${s.cron} @ ${s.timezone}`));
+  if (schedules.size > 1) out.push(`portfolio: members must share one cron and timezone (got ${[...schedules].join(", ")})`);
+  return out;
+}
+
+/**
+ * Validate a parsed strategies.json document and apply schedule defaults.
+ * Portfolio members carry the resolved `portfolio` block (with its `symbols`).
+ * Throws one Error listing every problem (with its path); `err.issues` holds the lines.
+ *
+ * @param {unknown} raw
+ * @param {{ defaultCron: string, defaultTimezone: string, source?: string }} opts
+ */
+export function parseStrategiesConfig(raw, { defaultCron, defaultTimezone, source = "strategies.json" }) {
+  const parsed = StrategiesFileSchema.safeParse(raw);
+  const problems = parsed.success
+    ? [...nameCollisions(parsed.data.strategies), ...promptProblems(parsed.data.strategies, portfolioSymbols(parsed.data))]
+    : issueLines(parsed.error.issues);
+  if (problems.length) throw invalidConfig(source, problems);
+
+  const strategies = parsed.data.strategies.map((s) => ({
+    ...s,
+    cron: s.cron ?? defaultCron,
+    timezone: s.timezone ?? defaultTimezone,
+    holdingPeriod: s.holdingPeriod ?? null
+  }));
+
+  const portfolio = parsed.data.portfolio;
+  if (!portfolio) return strategies;
+  const portfolioIssues = portfolioProblems(portfolio, strategies);
+  if (portfolioIssues.length) throw invalidConfig(source, portfolioIssues);
+  const resolved = { ...portfolio, symbols: portfolio.symbols ?? strategies.map((s) => s.symbol) };
+  return strategies.map((s) => (resolved.symbols.includes(s.symbol) ? { ...s, portfolio: resolved } : s));
+}
+
+/**
+ * Read and validate strategies.json from `cwd` (or the legacy assets.json).
+ *
+ * @returns {{ path: string, strategies: Array<object> }}
+ */
+export function loadStrategiesFile({ cwd = process.cwd(), defaultCron, defaultTimezone, legacyModel = "gpt-4.1-mini" }) {
+  if (!cron.validate(defaultCron)) throw new Error(`Invalid CRON_EXPR: ${defaultCron}`);
+  if (!firesAtMostDaily(defaultCron)) throw new Error(`Invalid CRON_EXPR: ${defaultCron} (must fire at most once a day at a fixed time)`);
+  if (!isValidTimeZone(defaultTimezone)) throw new Error(`Invalid CRON_TIMEZONE: ${defaultTimezone}`);
+
+  const strategiesPath = path.resolve(cwd, "strategies.json");
+  const legacyAssetsPath = path.resolve(cwd, "assets.json");
+  const opts = { defaultCron, defaultTimezone };
+
+  if (fs.existsSync(strategiesPath)) {
+    const raw = JSON.parse(fs.readFileSync(strategiesPath, "utf8"));
+    return { path: strategiesPath, strategies: parseStrategiesConfig(raw, opts) };
+  }
+  if (fs.existsSync(legacyAssetsPath)) {
+    const raw = JSON.parse(fs.readFileSync(legacyAssetsPath, "utf8"));
+    if (!Array.isArray(raw.assets)) throw new Error("assets.json must contain { assets: [...] }");
+    // Legacy fallback: map assets -> strategies with defaults
+    const strategies = raw.assets.map((a) => ({ ...a, chainAsset: a.symbol, model: legacyModel, version: 0 }));
+    return { path: legacyAssetsPath, strategies: parseStrategiesConfig({ strategies }, { ...opts, source: "assets.json" }) };
+  }
+  throw new Error(`strategies.json not found at ${strategiesPath} (and no legacy assets.json found)`);
+}
@@ -0,0 +1,128 @@
+/**
+ * Committee decisions: several models (or several samples of one model) vote, one rule aggregates.
+ *
+ * - majority: most votes wins; ties go to cash
+ * - unanimous_or_cash: every member must agree (a failed member counts as disagreement), else cash
+ * - confidence_weighted: sum of self-reported confidence per signal wins; ties go to cash
+ */
+
+export const ENSEMBLE_RULES = ["majority", "unanimous_or_cash", "confidence_weighted"];
+
+const CASH = "LONG_CASH";
+const MAX_EXPLANATION = 280;
+
+const LABELS = { LONG_ASSET: "long", LONG_CASH: "cash", SHORT_ASSET: "short" };
+
+/**
+ * Members of a strategy's committee: each model in `ensemble.models` (default: the strategy model),
+ * repeated `ensemble.samples` times. Null when the strategy has no ensemble.
+ */
+export function ensembleMembers(strategy) {
+  if (!strategy?.ensemble) return null;
+  const models = strategy.ensemble.models?.length ? strategy.ensemble.models : [strategy.model];
+  const samples = strategy.ensemble.samples ?? 1;
+  const out = [];
+  for (const model of models) {
+    for (let sample = 1; sample <= samples; sample++) out.push({ model, sample });
+  }
+  return out;
+}
+
+function tally(votes, weightOf) {
+  const scores = new Map();
+  for (const v of votes) scores.set(v.signal, (scores.get(v.signal) || 0) + weightOf(v));
+  return scores;
+}
+
+// Unique top-scoring signal, or null on a tie.
+function winnerOf(scores) {
+  let best = null;
+  let bestScore = -Infinity;
+  let tied = false;
+  for (const [signal, score] of scores) {
+    if (score > bestScore) {
+      best = signal;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore) {
+      tied = true;
+    }
+  }
+  return tied ? null : best;
+}
+
+function splitSummary(votes, failed) {
+  const counts = tally(votes, () => 1);
+  const parts = Array.from(counts, ([signal, n]) => `${n} ${LABELS[signal] || signal}`);
+  if (failed) parts.push(`${failed} failed`);
+  return `Committee split (${parts.join(", ")}); staying in cash until the models agree.`.slice(0, MAX_EXPLANATION);
+}
+
+/**
+ * Aggregate member votes into one decision.
+ *
+ * @param {Array<{model:string, sample:number, signal?:string, explanation?:string, confidence?:number, error?:string}>} votes
+ * @param {string} rule
+ * @returns {{signal:string, explanation:string, confidence:number}}
+ */
+export function aggregateVotes(votes, rule) {
+  const valid = votes.filter((v) => !v.error && v.signal);
+  const failed = votes.length - valid.length;
+  if (!valid.length) throw new Error(`All ${votes.length} ensemble members failed: ${votes.map((v) => v.error).join(" | ")}`.slice(0, 800));
+
+  let signal;
+  if (rule === "unanimous_or_cash") {
+    const first = valid[0].signal;
+    signal = !failed && valid.every((v) => v.signal === first) ? first : null;
+  } else if (rule === "confidence_weighted") {
+    signal = winnerOf(tally(valid, (v) => v.confidence ?? 0));
+  } else {
+    signal = winnerOf(tally(valid, () => 1));
+  }
+
+  // Confidence is diluted by dissent: summed support over all members that answered.
+  const supporters = valid.filter((v) => v.signal === (signal ?? CASH));
+  const confidence = supporters.reduce((acc, v) => acc + (v.confidence ?? 0), 0) / valid.length;
+
+  if (!signal || !supporters.length) {
+    return { signal: CASH, explanation: splitSummary(valid, failed), confidence };
+  }
+
+  // Reuse the most confident supporter's reasoning rather than stitching several together.
+  const spokesman = supporters.reduce((a, b) => ((b.confidence ?? 0) > (a.confidence ?? 0) ? b : a));
+  return { signal, explanation: String(spokesman.explanation || "").slice(0, MAX_EXPLANATION), confidence };
+}
+
+/**
+ * Ask every member (in parallel) and aggregate.
+ *
+ * @param {{ members: Array<{model:string, sample:number}>, rule: string, decide: (model:string, member:{model:string, sample:number}) => Promise<object> }} p
+ * @returns {Promise<{signal:string, explanation:string, confidence:number, ensemble:{rule:string, votes:Array}}>}
+ *   failed votes keep the usage of their billed calls; when all fail, the error carries `ensemble`
+ */
+export async function decideEnsemble({ members, rule, decide }) {
+  const settled = await Promise.allSettled(members.map((m) => decide(m.model, m)));
+  const votes = settled.map((r, i) =>
+    r.status === "fulfilled"
+      ? {
+          ...members[i],
+          signal: r.value.signal,
+          confidence: r.value.confidence ?? null,
+          explanation: r.value.explanation,
+          ...(r.value.usage ? { usage: r.value.usage } : {}),
+          ...(r.value.cache ? { cache: r.value.cache } : {})
+        }
+      : {
+          ...members[i],
+          error: String(r.reason?.message || r.reason).slice(0, 800),
+          ...(r.reason?.usage ? { usage: r.reason.usage } : {})
+        }
+  );
+  try {
+    return { ...aggregateVotes(votes, rule), ensemble: { rule, votes } };
+  } catch (e) {
+    // Every member failed; the votes still carry whatever was billed.
+    e.ensemble = { rule, votes };
+    throw e;
+  }
+}
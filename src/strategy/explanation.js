@@ -0,0 +1,152 @@
+import { addUsage } from "./budget.js";
+
+/**
+ * On-chain explanation rules, checked after the model's output parses:
+ *
+ * - at most 280 characters, no newlines
+ * - English
+ * - at most MAX_FIGURES numeric figures
+ * - does not restate the signal (LONG_ASSET / LONG_CASH / SHORT_ASSET)
+ * - not a near-copy of an explanation in context.previous_signals
+ *
+ * On a violation the model is re-asked with a targeted correction, a bounded number of times;
+ * whatever is still wrong afterwards is left to tidyExplanation (whitespace + truncation).
+ */
+
+export const MAX_EXPLANATION = 280;
+export const MAX_FIGURES = 2;
+const NEAR_COPY_SIMILARITY = 0.8;
+
+const SIGNAL_RE = /\b(LONG[_\s-]?ASSET|LONG[_\s-]?CASH|SHORT[_\s-]?ASSET)\b/i;
+// Standalone numbers and percentages ("62,000", "3.5%"); digits inside words or labels such as
+// "RSI14", "24h" or "200-day" are not figures.
+const FIGURE_RE = /(?<![\p{L}\p{N}_.,]|\p{L}-)\d+(?:[.,]\d+)*%?(?![\p{L}\p{N}_]|[.,]\d|-\p{L})/gu;
+// A handful of very common English function words; any real English sentence of some length has one.
+const ENGLISH_WORDS = new Set([
+  "the", "a", "an", "and", "or", "but", "is", "are", "was", "be", "of", "to", "in", "on", "at", "with",
+  "as", "for", "by", "from", "while", "not", "no", "remains", "stays", "still", "than", "into", "so"
+]);
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function bigrams(text) {
+  const w = words(text);
+  const out = new Set();
+  for (let i = 0; i < w.length - 1; i++) out.add(`${w[i]} ${w[i + 1]}`);
+  if (w.length === 1) out.add(w[0]);
+  return out;
+}
+
+// Jaccard similarity of word bigrams, 0..1.
+export function similarity(a, b) {
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const g of x) if (y.has(g)) shared++;
+  return shared / (x.size + y.size - shared);
+}
+
+function looksEnglish(text) {
+  const letters = String(text).match(/\p{L}/gu) || [];
+  if (!letters.length) return true;
+  const foreign = letters.filter((c) => !/[A-Za-z]/.test(c)).length;
+  if (foreign / letters.length > 0.05) return false;
+  const w = words(text);
+  return w.length < 8 || w.some((x) => ENGLISH_WORDS.has(x));
+}
+
+/**
+ * @param {string} explanation
+ * @param {{ previousSignals?: Array<{timestamp?:string, explanation?:string}> }} [opts]
+ * @returns {string[]} one correction per broken rule (empty when the explanation is fine)
+ */
+export function explanationIssues(explanation, { previousSignals = [] } = {}) {
+  const text = String(explanation || "");
+  const issues = [];
+  if (text.length > MAX_EXPLANATION) issues.push(`it is ${text.length} characters long; the limit is ${MAX_EXPLANATION}`);
+  if (/[\r\n]/.test(text)) issues.push("it contains line breaks; write a single line");
+  if (!looksEnglish(text)) issues.push("it is not written in English");
+  const figures = text.match(FIGURE_RE) || [];
+  if (figures.length > MAX_FIGURES) issues.push(`it quotes ${figures.length} numeric figures; use at most ${MAX_FIGURES}`);
+  if (SIGNAL_RE.test(text)) issues.push("it restates the signal name; give only the reasoning");
+  const copied = previousSignals.find((p) => p?.explanation && similarity(text, p.explanation) >= NEAR_COPY_SIMILARITY);
+  if (copied) issues.push(`it nearly repeats a previous explanation${copied.timestamp ? ` (${copied.timestamp})` : ""}; say what changed or that nothing did`);
+  return issues;
+}
+
+function correctionFor(decision, issues) {
+  return [
+    `Your previous answer chose ${decision.signal} with this explanation: ${JSON.stringify(decision.explanation)}.`,
+    `The explanation breaks the on-chain rules: ${issues.join("; ")}.`,
+    "Answer again with the same signal and confidence; rewrite only the explanation so it follows every rule."
+  ].join(" ");
+}
+
+/**
+ * Ask, then re-ask with a correction while the explanation breaks a rule (at most `maxRepairs` times).
+ * A re-ask that fails or changes the signal is discarded. Usage covers every call made, failed
+ * re-asks included.
+ *
+ * @param {(correction?: string) => Promise<{signal:string, explanation:string, confidence:number, usage?:object}>} ask
+ * @param {{ previousSignals?: Array, maxRepairs?: number }} [opts]
+ * @returns {Promise<object>} the decision, plus `explanation_check: { repairs, issues, error? }` when a rule was broken
+ */
+export async function askWithExplanationRepair(ask, { previousSignals = [], maxRepairs = 2 } = {}) {
+  let decision = await ask();
+  let usage = decision.usage ?? null;
+  let issues = explanationIssues(decision.explanation, { previousSignals });
+  if (!issues.length) return decision;
+
+  let repairs = 0;
+  let error = null;
+  while (issues.length && repairs < maxRepairs) {
+    repairs++;
+    let retry;
+    try {
+      retry = await ask(correctionFor(decision, issues));
+    } catch (e) {
+      usage = addUsage(usage, e?.usage ?? null);
+      error = String(e?.message || e).slice(0, 300);
+      break;
+    }
+    usage = addUsage(usage, retry.usage);
+    if (retry.signal !== decision.signal) continue;
+    decision = retry;
+    issues = explanationIssues(decision.explanation, { previousSignals });
+  }
+  return { ...decision, usage, explanation_check: { repairs, issues, ...(error ? { error } : {}) } };
+}
+
+/**
+ * Last resort for whatever the repair loop could not fix: one line, at most 280 characters,
+ * cut at a sentence (or word) boundary and ending with punctuation.
+ */
+export function tidyExplanation(text) {
+  if (!text) return text;
+  let t = String(text).trim();
+  t = t.replace(/\s*\n\s*/g, " ");
+  t = t.replace(/\s+/g, " ");
+
+  if (t.length > MAX_EXPLANATION) t = t.slice(0, MAX_EXPLANATION).trim();
+
+  if (t.length && /[A-Za-z0-9]$/.test(t) && !/[\.\!\?]$/.test(t)) {
+    const lastPunct = Math.max(t.lastIndexOf("."), t.lastIndexOf("!"), t.lastIndexOf("?"));
+    if (lastPunct >= 40) {
+      t = t.slice(0, lastPunct + 1).trim();
+    } else {
+      const lastSpace = t.lastIndexOf(" ");
+      if (lastSpace >= 40) t = t.slice(0, lastSpace).trim();
+      if (!/[\.\!\?]$/.test(t)) t = t + ".";
+    }
+  }
+  if (!/[\.\!\?]$/.test(t)) t = t + ".";
+  // The closing punctuation may have pushed it one past the limit, which is hard (on-chain).
+  if (t.length > MAX_EXPLANATION) t = `${t.slice(0, MAX_EXPLANATION - 1).replace(/[\s,;:]+$/, "")}.`;
+  return t;
+}
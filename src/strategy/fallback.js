@@ -0,0 +1,59 @@
+/**
+ * Deterministic decisions used when the model cannot answer, so an outage does not flip
+ * every strategy to cash.
+ *
+ * - cash: LONG_CASH (previous behaviour)
+ * - hold_previous: repeat the strategy's last signal (cash when there is none)
+ * - trend: above the 200-day SMA and RSI(14) not overbought -> long; below it and not oversold -> short; else cash
+ */
+
+export const FALLBACK_MODES = ["cash", "hold_previous", "trend"];
+
+const SIGNALS = new Set(["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"]);
+const RSI_OVERBOUGHT = 70;
+const RSI_OVERSOLD = 30;
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function trendDecision(asset) {
+  const dist = asset?.daily?.trend?.dist_to_sma200_pp;
+  const rsi = asset?.daily?.momentum?.rsi14;
+  if (!isNum(dist) || !isNum(rsi)) {
+    return { signal: "LONG_CASH", explanation: "Model unavailable and trend inputs missing; holding cash." };
+  }
+  if (dist > 0 && rsi < RSI_OVERBOUGHT) {
+    return { signal: "LONG_ASSET", explanation: "Model unavailable; rule-based fallback: price holds above its 200-day average without being overbought." };
+  }
+  if (dist < 0 && rsi > RSI_OVERSOLD) {
+    return { signal: "SHORT_ASSET", explanation: "Model unavailable; rule-based fallback: price sits below its 200-day average without being oversold." };
+  }
+  return { signal: "LONG_CASH", explanation: "Model unavailable; rule-based fallback sees a stretched trend, so it stays in cash." };
+}
+
+/**
+ * @param {object} p
+ * @param {string} [p.mode] - one of FALLBACK_MODES (default "cash")
+ * @param {object|null} p.asset - sanitized asset features (sanitizeFeatures output)
+ * @param {Array<{signal:string}>} [p.previousSignals] - oldest -> newest
+ * @param {string[]} [p.allowedPositions] - strategy "allowedPositions"; anything else becomes cash
+ * @returns {{signal:string, explanation:string, confidence:null, fallback:string}}
+ */
+export function fallbackDecision({ mode = "cash", asset, previousSignals = [], allowedPositions }) {
+  let decision;
+  if (mode === "trend") {
+    decision = trendDecision(asset);
+  } else if (mode === "hold_previous") {
+    const last = [...previousSignals].reverse().find((s) => SIGNALS.has(s?.signal));
+    decision = last
+      ? { signal: last.signal, explanation: "Model unavailable; holding the previous position until the next rebalance." }
+      : { signal: "LONG_CASH", explanation: "Model unavailable and no previous signal to hold; defaulting to cash." };
+  } else {
+    decision = { signal: "LONG_CASH", explanation: "Defaulting to cash (AI unavailable)." };
+  }
+  if (allowedPositions && !allowedPositions.includes(decision.signal)) {
+    decision = { signal: "LONG_CASH", explanation: "Model unavailable; the fallback position is not allowed for this strategy, so it stays in cash." };
+  }
+  return { ...decision, confidence: null, fallback: mode };
+}
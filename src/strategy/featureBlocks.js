@@ -0,0 +1,73 @@
+/**
+ * Per-strategy selection of the data blocks (and sanitized fields) sent to the model.
+ *
+ * strategies.json:
+ *   "features": {
+ *     "asset": ["price", "daily.returns_pp", "daily.trend"],  // only these sanitized fields
+ *     "macro": true,                                          // whole block
+ *     "previous_signals": true
+ *   }
+ *
+ * Blocks not listed are left out (and not fetched when no strategy needs them).
+ * Omitting "features" altogether keeps the full payload.
+ */
+
+export const FEATURE_BLOCKS = ["asset", "btc_regime", "macro", "derivatives", "sentiment", "trends", "previous_signals"];
+
+/**
+ * Selection for one block: true (all fields), an array of dotted field paths, or null (excluded).
+ */
+export function blockSelection(strategy, block) {
+  if (!strategy?.features) return true;
+  const sel = strategy.features[block];
+  if (sel === true || Array.isArray(sel)) return sel;
+  return null;
+}
+
+export function usesBlock(strategy, block) {
+  return blockSelection(strategy, block) !== null;
+}
+
+/**
+ * Copy only the given dotted paths of `obj` ("daily.trend" keeps the whole subtree).
+ * Paths absent from the data are skipped.
+ */
+export function pickFields(obj, paths) {
+  if (!obj || typeof obj !== "object") return obj;
+  const out = {};
+  for (const p of paths) {
+    const keys = p.split(".");
+    let src = obj;
+    for (const k of keys) {
+      src = src && typeof src === "object" ? src[k] : undefined;
+    }
+    if (src === undefined || src === null) continue;
+
+    let dst = out;
+    for (const k of keys.slice(0, -1)) {
+      if (!dst[k] || typeof dst[k] !== "object") dst[k] = {};
+      dst = dst[k];
+    }
+    dst[keys[keys.length - 1]] = src;
+  }
+  return out;
+}
+
+/**
+ * The `features` payload for one strategy, from every sanitized block available this run.
+ * Missing (null) blocks are dropped, like the fixed payload used to do.
+ *
+ * @param {object} strategy
+ * @param {Record<string, object|null>} available - asset, btc_regime, macro, derivatives, sentiment, trends
+ */
+export function selectFeatures(strategy, available) {
+  const out = {};
+  for (const block of FEATURE_BLOCKS) {
+    if (block === "previous_signals") continue;
+    const sel = blockSelection(strategy, block);
+    const data = available[block];
+    if (sel === null || data === null || data === undefined) continue;
+    out[block] = sel === true ? data : pickFields(data, sel);
+  }
+  return out;
+}
@@ -0,0 +1,106 @@
+/**
+ * Post-decision risk policy: may veto or modify a model decision before it is mapped on-chain.
+ *
+ * strategies.json:
+ *   "risk": {
+ *     "minHoldingDays": 2,        // keep a position at least this long before changing it
+ *     "maxFlipsPerWeek": 2,       // signal changes allowed in any rolling 7 days
+ *     "maxShortVolPp": 6,         // no SHORT_ASSET when 30d daily vol (pp) is above this
+ *     "maxMissingBlocks": 1       // force cash when more requested data blocks than this failed
+ *   }
+ *
+ * Churn rules (holding period, flips) keep the previous position; safety rules (vol, missing
+ * data) run last and may still force cash.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+// Timestamps (ms) at which the signal changed, oldest -> newest.
+function flipTimes(history) {
+  const out = [];
+  for (let i = 1; i < history.length; i++) {
+    if (history[i].signal !== history[i - 1].signal) out.push(Date.parse(history[i].timestamp));
+  }
+  return out;
+}
+
+// Start (ms) of the streak the latest signal belongs to.
+function streakStart(history) {
+  let i = history.length - 1;
+  while (i > 0 && history[i - 1].signal === history[i].signal) i--;
+  return Date.parse(history[i].timestamp);
+}
+
+/**
+ * @param {object} p
+ * @param {object} [p.policy] - strategy.risk
+ * @param {{signal:string, explanation:string, confidence?:number|null}} p.decision
+ * @param {Array<{timestamp:string, signal:string}>} p.history - this strategy's previous decisions, oldest -> newest
+ * @param {object|null} p.asset - sanitized asset features
+ * @param {Record<string, boolean|null>} p.dataStatus - false = requested block failed, null = not requested
+ * @param {number} [p.nowMs]
+ * @returns {{decision:object, overrides:Array<{rule:string, from:string, to:string, detail:string}>}}
+ */
+export function applyRiskPolicy({ policy, decision, history = [], asset, dataStatus = {}, nowMs = Date.now() }) {
+  if (!policy) return { decision, overrides: [] };
+
+  const overrides = [];
+  let current = decision;
+  const override = (rule, signal, explanation, detail) => {
+    overrides.push({ rule, from: current.signal, to: signal, detail });
+    current = { ...current, signal, explanation, confidence: null };
+  };
+
+  const past = history.filter((h) => h?.signal && Number.isFinite(Date.parse(h.timestamp)));
+  const previous = past.length ? past[past.length - 1].signal : null;
+
+  if (previous && current.signal !== previous && isNum(policy.minHoldingDays)) {
+    const heldDays = (nowMs - streakStart(past)) / DAY_MS;
+    if (heldDays < policy.minHoldingDays) {
+      override(
+        "min_holding_period",
+        previous,
+        "Keeping the current position: the minimum holding period has not elapsed yet.",
+        `held ${heldDays.toFixed(1)}d < ${policy.minHoldingDays}d`
+      );
+    }
+  }
+
+  if (previous && current.signal !== previous && isNum(policy.maxFlipsPerWeek)) {
+    const flips = flipTimes(past).filter((t) => nowMs - t < 7 * DAY_MS).length;
+    if (flips >= policy.maxFlipsPerWeek) {
+      override(
+        "max_flips_per_week",
+        previous,
+        "Keeping the current position: the signal already changed too often this week.",
+        `${flips} flips in 7d >= ${policy.maxFlipsPerWeek}`
+      );
+    }
+  }
+
+  const vol = asset?.daily?.vol_pp?.d30;
+  if (current.signal === "SHORT_ASSET" && isNum(policy.maxShortVolPp) && isNum(vol) && vol > policy.maxShortVolPp) {
+    override(
+      "no_short_high_vol",
+      "LONG_CASH",
+      "Volatility is too high to hold a short safely; staying in cash instead.",
+      `vol_30d ${vol}pp > ${policy.maxShortVolPp}pp`
+    );
+  }
+
+  const missing = Object.entries(dataStatus).filter(([, ok]) => ok === false).map(([block]) => block);
+  if (current.signal !== "LONG_CASH" && isNum(policy.maxMissingBlocks) && missing.length > policy.maxMissingBlocks) {
+    override(
+      "max_missing_blocks",
+      "LONG_CASH",
+      "Too many data sources are unavailable today; staying in cash until inputs recover.",
+      `missing ${missing.join(", ")} (${missing.length} > ${policy.maxMissingBlocks})`
+    );
+  }
+
+  return { decision: current, overrides };
+}
@@ -0,0 +1,105 @@
+import { priceAt } from "./backtest.js";
+import { positionForSignal, sharpe } from "../lib/metrics.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const SIGNALS = new Set(["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"]);
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+/**
+ * Scheduled decisions from signals.ndjson, grouped per strategy and ordered oldest -> newest.
+ * Error/duplicate lines (chain_error, SYSTEM) are ignored; one decision per strategy per timestamp.
+ */
+export function scheduledSignalsByStrategy(records) {
+  const byStrategy = new Map();
+  for (const r of records || []) {
+    if (r?.run_type !== "scheduled" || !r.strategy || r.strategy === "SYSTEM") continue;
+    if (!SIGNALS.has(r.signal) || r.chain_error) continue;
+    const ts = Date.parse(r.timestamp);
+    if (!Number.isFinite(ts)) continue;
+
+    if (!byStrategy.has(r.strategy)) byStrategy.set(r.strategy, new Map());
+    const byTs = byStrategy.get(r.strategy);
+    if (!byTs.has(ts)) byTs.set(ts, { strategy: r.strategy, symbol: r.symbol, signal: r.signal, timestamp: r.timestamp, ts });
+  }
+
+  const out = new Map();
+  for (const [strategy, byTs] of byStrategy) {
+    out.set(strategy, Array.from(byTs.values()).sort((a, b) => a.ts - b.ts));
+  }
+  return out;
+}
+
+/**
+ * Price at `ts` from a fetchPriceSeries result: hourly when in range, else the daily point.
+ */
+export function seriesPriceAt(series, ts) {
+  if (!series) return null;
+  return priceAt(series.hourlyPrices || [], ts) ?? priceAt(series.dailyPrices || [], ts, 36 * HOUR_MS);
+}
+
+/**
+ * Paper P&L ledger: each scheduled signal is held until its intended exit, the strategy's next
+ * rebalance (`exitAt`), whether or not that run posted. Strategies `exitAt` does not know
+ * (renamed or removed) fall back to their next scheduled signal; open positions are left out.
+ * Rows already present in `existing` keep their entry/exit prices, so history older than the
+ * provider's price window is preserved across rebuilds.
+ *
+ * @param {{records:Array, seriesBySymbol:Map<string,object>, existing?:Array, exitAt?:(signal:object)=>number|null, nowMs?:number}} p
+ */
+export function buildLedger({ records, seriesBySymbol, existing = [], exitAt = () => null, nowMs = Date.now() }) {
+  const known = new Map(existing.map((r) => [`${r.strategy}|${r.timestamp}`, r]));
+  const out = [];
+
+  for (const [strategy, signals] of scheduledSignalsByStrategy(records)) {
+    const rows = [];
+    for (let i = 0; i < signals.length; i++) {
+      const s = signals[i];
+      const exitTs = exitAt(s) ?? signals[i + 1]?.ts;
+      if (!isNum(exitTs) || exitTs > nowMs) continue;
+      const prev = known.get(`${strategy}|${s.timestamp}`);
+      const series = seriesBySymbol.get(s.symbol);
+
+      const entry = isNum(prev?.entry_price) ? prev.entry_price : seriesPriceAt(series, s.ts);
+      let exitTimestamp = new Date(exitTs).toISOString();
+      let exit = isNum(prev?.exit_price) && Date.parse(prev.exit_timestamp) === exitTs ? prev.exit_price : seriesPriceAt(series, exitTs);
+      if (!isNum(exit) && isNum(prev?.exit_price)) {
+        // Outside the price window: keep the row as it was first scored.
+        exit = prev.exit_price;
+        exitTimestamp = prev.exit_timestamp;
+      }
+      if (!isNum(entry) || !isNum(exit) || entry === 0) continue;
+
+      const position = positionForSignal(s.signal);
+      const assetReturn = (exit - entry) / entry;
+      rows.push({
+        date: s.timestamp.slice(0, 10),
+        timestamp: s.timestamp,
+        exit_timestamp: exitTimestamp,
+        strategy,
+        symbol: s.symbol,
+        signal: s.signal,
+        position,
+        entry_price: entry,
+        exit_price: exit,
+        asset_return: assetReturn,
+        return: position * assetReturn
+      });
+    }
+
+    let equity = 1;
+    const returns = [];
+    for (const row of rows) {
+      returns.push(row.return);
+      equity *= 1 + row.return;
+      row.cumulative_return = equity - 1;
+      row.sharpe_30d = returns.length >= 30 ? sharpe(returns.slice(-30)) : null;
+      row.sharpe_90d = returns.length >= 90 ? sharpe(returns.slice(-90)) : null;
+    }
+    out.push(...rows);
+  }
+
+  return out.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp) || a.strategy.localeCompare(b.strategy));
+}
@@ -0,0 +1,220 @@
+import { z } from "zod";
+import { addUsage } from "./budget.js";
+import { MAX_EXPLANATION, explanationIssues } from "./explanation.js";
+import { taskHorizon } from "../providers/llmShared.js";
+
+/**
+ * Portfolio mode: one model call allocates capital across every member strategy's asset (and cash),
+ * instead of one independent decideSignal per strategy that can end up all-in on correlated risk.
+ *
+ * strategies.json:
+ *   "portfolio": {
+ *     "model": "gpt-5.2",                  // provider / baseUrl / api as for strategies
+ *     "prompt": "portfolio-v1",            // prompts/<id>.txt
+ *     "symbols": ["BTC", "KAS", "PAXG"]    // members (default: every strategy); one strategy per symbol,
+ *   }                                      // sharing one cron + timezone
+ *
+ * The model answers an integer weight per asset (positive long, negative short, 0 none) plus cash;
+ * absolute weights + cash must total 100. Each member then posts its own signal with |weight| as the
+ * contract `weight` (cash posts full weight, as usual). A broken allocation or explanation is re-asked
+ * with a correction, like single-asset explanations (explanation.js); if the allocation stays broken
+ * every member uses its own fallback, while explanations are just tidied. Risk rules and budgets still
+ * apply per member. Backtests still decide each strategy on its own.
+ *
+ * A catch-up run may cover only some members; the exposure the others already posted that day
+ * still counts, and the run's weights are scaled down to fit what is left of the 100%.
+ */
+
+export const PORTFOLIO_OUTPUT_NAME = "portfolio_output";
+const CASH = "LONG_CASH";
+
+/**
+ * JSON Schema for the structured-output call, one required property per member symbol.
+ */
+export function portfolioJsonSchema(symbols) {
+  const asset = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      weight: { type: "integer", minimum: -100, maximum: 100 },
+      explanation: { type: "string", minLength: 1, maxLength: MAX_EXPLANATION }
+    },
+    required: ["weight", "explanation"]
+  };
+  return {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      assets: {
+        type: "object",
+        additionalProperties: false,
+        properties: Object.fromEntries(symbols.map((s) => [s, asset])),
+        required: symbols
+      },
+      cash: { type: "integer", minimum: 0, maximum: 100 },
+      confidence: { type: "number", minimum: 0, maximum: 1 }
+    },
+    required: ["assets", "cash", "confidence"]
+  };
+}
+
+function portfolioSchema(symbols) {
+  const asset = z.object({ weight: z.number().int().min(-100).max(100), explanation: z.string().min(1) });
+  return z.object({
+    assets: z.object(Object.fromEntries(symbols.map((s) => [s, asset]))),
+    cash: z.number().int().min(0).max(100),
+    confidence: z.number().min(0).max(1)
+  });
+}
+
+/**
+ * The user message: every member's payload (features + constraints) side by side.
+ * @param {{ assets: Array<{symbol:string, features:object, context:object}>, correction?: string }} p
+ */
+export function portfolioInput({ assets, correction }) {
+  const user = {
+    // Members share one schedule (config.js), so any member's constraints give the horizon.
+    task: `Allocate the portfolio across these assets and cash. ${taskHorizon(assets[0]?.context)}`,
+    assets
+  };
+  const input = "INPUT_JSON:\n" + JSON.stringify(user);
+  return correction ? `${input}\n\nCORRECTION:\n${correction}` : input;
+}
+
+/**
+ * Hard rule violations in a parsed allocation: the total, and longs/shorts a member does not allow.
+ * @returns {string[]}
+ */
+export function allocationIssues(allocation, members) {
+  const issues = [];
+  const total = allocation.cash + members.reduce((acc, s) => acc + Math.abs(allocation.assets[s.symbol].weight), 0);
+  if (total !== 100) issues.push(`absolute asset weights plus cash add up to ${total}, not 100`);
+  for (const s of members) {
+    const { weight } = allocation.assets[s.symbol];
+    const allowed = s.allowedPositions;
+    if (allowed && weight > 0 && !allowed.includes("LONG_ASSET")) issues.push(`${s.symbol} does not allow a long position`);
+    if (allowed && weight < 0 && !allowed.includes("SHORT_ASSET")) issues.push(`${s.symbol} does not allow a short position`);
+  }
+  return issues;
+}
+
+// Soft violations: explanations that break the on-chain rules (left to tidyExplanation if never fixed).
+function explanationProblems(allocation, members) {
+  return members.flatMap((s) => explanationIssues(allocation.assets[s.symbol].explanation).map((i) => `${s.symbol} explanation: ${i}`));
+}
+
+/**
+ * Ask for an allocation, re-asking with a correction (at most `maxRepairs` times) while it breaks a rule.
+ * Explanation problems alone never reject an allocation; they are reported in `explanation_issues`.
+ *
+ * @param {(correction?: string) => Promise<{data: unknown, usage: object|null}>} ask
+ * @param {{ members: Array<object>, maxRepairs?: number }} opts
+ * @returns {Promise<{ allocation: object, usage: object|null, repairs: number, explanation_issues: string[] }>}
+ * @throws when the allocation is still malformed or breaks a hard rule after the last re-ask, or a call
+ *   fails; `err.usage` then covers every call made
+ */
+export async function askForAllocation(ask, { members, maxRepairs = 2 }) {
+  const schema = portfolioSchema(members.map((s) => s.symbol));
+  let usage = null;
+  let issues = [];
+  let previous = null;
+  let best = null;
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const correction = attempt
+      ? `Your previous allocation was ${JSON.stringify(previous)}. It breaks the rules: ${issues.join("; ")}. Answer again with a corrected allocation.`
+      : undefined;
+    let res;
+    try {
+      res = await ask(correction);
+    } catch (e) {
+      e.usage = addUsage(usage, e?.usage ?? null);
+      throw e;
+    }
+    usage = addUsage(usage, res.usage);
+    const parsed = schema.safeParse(res.data);
+    if (!parsed.success) {
+      previous = res.data;
+      issues = parsed.error.issues.map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`);
+      continue;
+    }
+    previous = parsed.data;
+    const hard = allocationIssues(parsed.data, members);
+    const soft = explanationProblems(parsed.data, members);
+    if (!hard.length) best = { allocation: parsed.data, repairs: attempt, explanation_issues: soft };
+    issues = [...hard, ...soft];
+    if (!issues.length) break;
+  }
+  if (best) return { ...best, usage };
+  const err = new Error(`Portfolio allocation still invalid after ${maxRepairs} re-asks: ${issues.join("; ")}`.slice(0, 800));
+  err.usage = usage;
+  throw err;
+}
+
+/**
+ * Answer for the mock backend: everything in cash.
+ */
+export function allCashAllocation(members) {
+  return {
+    assets: Object.fromEntries(members.map((s) => [s.symbol, { weight: 0, explanation: "Mock portfolio for a dry run; holding cash." }])),
+    cash: 100,
+    confidence: 0.5
+  };
+}
+
+/**
+ * One member's even share of the allocation call's usage, so per-strategy spend and budgets still
+ * add up to the bill (whether the allocation was used or every member fell back).
+ */
+export function usageShare(usage, n) {
+  if (!usage) return null;
+  return {
+    model: usage.model,
+    input_tokens: Math.round(usage.input_tokens / n),
+    cached_input_tokens: Math.round(usage.cached_input_tokens / n),
+    output_tokens: Math.round(usage.output_tokens / n)
+  };
+}
+
+/**
+ * Scale an allocation's asset weights down (towards zero) so they fit in `100 - held` percent, the
+ * capital members outside this run already hold; cash is what is left of the 100%.
+ * @param {object} allocation
+ * @param {number} held - absolute exposure (percent) posted today by the members not in the allocation
+ */
+export function fitAllocation(allocation, held) {
+  const room = Math.max(0, 100 - held);
+  const used = Object.values(allocation.assets).reduce((acc, a) => acc + Math.abs(a.weight), 0);
+  if (used <= room) return allocation;
+  const assets = Object.fromEntries(
+    Object.entries(allocation.assets).map(([symbol, a]) => [symbol, { ...a, weight: Math.trunc((a.weight * room) / used) }])
+  );
+  const fitted = Object.values(assets).reduce((acc, a) => acc + Math.abs(a.weight), 0);
+  return { ...allocation, assets, cash: room - fitted };
+}
+
+/**
+ * Allocation -> one decision per member symbol, shaped like decideSignal's answers, each carrying
+ * its usageShare. `held` is the exposure of members outside this run (see fitAllocation).
+ *
+ * @returns {Map<string, {signal:string, explanation:string, confidence:number, usage:object|null, portfolio:object}>}
+ */
+export function memberDecisions({ allocation: asked, members, usage, repairs = 0, explanation_issues = [], held = 0 }) {
+  const allocation = held ? fitAllocation(asked, held) : asked;
+  const share = usageShare(usage, members.length);
+  const weights = Object.fromEntries(members.map((s) => [s.symbol, allocation.assets[s.symbol].weight]));
+  const out = new Map();
+  for (const s of members) {
+    const { weight, explanation } = allocation.assets[s.symbol];
+    const prefix = `${s.symbol} explanation: `;
+    const issues = explanation_issues.filter((i) => i.startsWith(prefix)).map((i) => i.slice(prefix.length));
+    out.set(s.symbol, {
+      signal: weight > 0 ? "LONG_ASSET" : weight < 0 ? "SHORT_ASSET" : CASH,
+      explanation,
+      confidence: allocation.confidence,
+      usage: share,
+      portfolio: { weight, cash: allocation.cash, weights, repairs, ...(held ? { held_elsewhere: held } : {}) },
+      ...(issues.length ? { explanation_check: { repairs, issues } } : {})
+    });
+  }
+  return out;
+}
@@ -1,14 +1,15 @@
 /**
  * Additional context that is stable and should be included in every call.
  */
-export function buildContext({ rebalanceTimeLocal }) {
+export function buildContext({ rebalanceTimeLocal, holdingPeriod, allowedPositions, daily = true }) {
+  const positions = allowedPositions ?? ["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"];
   return {
     constraints: {
       rebalance_time: rebalanceTimeLocal,
-      holding_period: "Hold position until next day's rebalance time.",
-      allowed_positions: ["LONG_ASSET", "LONG_CASH", "SHORT_ASSET"],
+      holding_period: holdingPeriod || (daily ? "Hold position until next day's rebalance time." : "Hold position until the next scheduled rebalance time."),
+      allowed_positions: positions,
       leverage: "none",
-      shorting: "allowed (no leverage)",
+      shorting: positions.includes("SHORT_ASSET") ? "allowed (no leverage)" : "not allowed",
       cash_return: 0,
       transaction_costs: 0
     },
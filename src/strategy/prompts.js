@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { cronClock } from "../lib/time.js";
+
+/**
+ * Versioned instruction templates: prompts/<id>.txt, referenced by strategies.json "prompt".
+ *
+ * A template is never edited once strategies use it; new wording gets a new ID (daily-signal-v3, ...),
+ * so every signal record can name the exact prompt behind it (`prompt: { id, hash }`).
+ *
+ * - daily-signal-v1 (default): the original instructions, word for word, without variables
+ * - daily-signal-v2: asset type, holding period and allowed positions filled in per strategy
+ *
+ * Variables ({{name}}):
+ *   asset_type              - "cryptocurrency", "precious metal" or "asset" (strategy "type")
+ *   holding_period          - strategy "holdingPeriod", or until the next rebalance
+ *   allowed_positions       - one "- SIGNAL: meaning" line per strategy "allowedPositions"
+ *   allowed_position_names  - "LONG_ASSET, LONG_CASH, or SHORT_ASSET"
+ *
+ * Portfolio templates (strategies.json "portfolio.prompt", see portfolio.js) get instead:
+ *   assets                  - one "- SYMBOL (asset type): long, short" line per member
+ *   holding_period          - as above, from the first member
+ */
+
+export const DEFAULT_PROMPT_ID = "daily-signal-v1";
+export const DEFAULT_PORTFOLIO_PROMPT_ID = "portfolio-v1";
+export const PROMPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../prompts");
+export const PROMPT_ID_RE = /^[a-z0-9][a-z0-9._-]*$/i;
+
+export const POSITION_MEANINGS = {
+  LONG_ASSET: "fully long the asset",
+  LONG_CASH: "no position (cash)",
+  SHORT_ASSET:
+    "short the asset (assume borrowing is possible; no leverage). Fully allowed: if you expect negative returns over the holding period, you may choose it instead of LONG_CASH"
+};
+
+const ASSET_TYPES = { crypto: "cryptocurrency", metal: "precious metal" };
+
+const VARIABLE_RE = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Templates are immutable by convention, so one read per process is enough.
+const cache = new Map();
+
+export function promptPath(id, dir = PROMPTS_DIR) {
+  return path.join(dir, `${id}.txt`);
+}
+
+export function promptExists(id, dir = PROMPTS_DIR) {
+  return PROMPT_ID_RE.test(id) && fs.existsSync(promptPath(id, dir));
+}
+
+/**
+ * @returns {{ id: string, text: string, hash: string }} hash = first 16 hex chars of the file's sha256
+ */
+export function loadPromptTemplate(id, dir = PROMPTS_DIR) {
+  if (!PROMPT_ID_RE.test(id)) throw new Error(`Invalid prompt id: ${id}`);
+  const file = promptPath(id, dir);
+  if (!cache.has(file)) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      throw new Error(`Prompt template ${id} not found at ${file}: ${e.message}`);
+    }
+    const hash = crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+    cache.set(file, { id, text, hash });
+  }
+  return cache.get(file);
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names.join("");
+  if (names.length === 2) return `${names[0]} or ${names[1]}`;
+  return `${names.slice(0, -1).join(", ")}, or ${names[names.length - 1]}`;
+}
+
+function holdingPeriodOf(strategy) {
+  const fallback = cronClock(strategy.cron)?.daily === false ? "until the next scheduled rebalance time" : "until the next day's rebalance time";
+  return (strategy.holdingPeriod || fallback).replace(/\.+$/, "");
+}
+
+/**
+ * Names of the {{variables}} a template uses.
+ * @returns {Set<string>}
+ */
+export function templateVariables(id, dir = PROMPTS_DIR) {
+  return new Set(Array.from(loadPromptTemplate(id, dir).text.matchAll(VARIABLE_RE), (m) => m[1]));
+}
+
+/**
+ * Template variables for a strategy.
+ */
+export function promptVariables(strategy) {
+  const positions = strategy.allowedPositions ?? Object.keys(POSITION_MEANINGS);
+  return {
+    asset_type: ASSET_TYPES[strategy.type] ?? "asset",
+    holding_period: holdingPeriodOf(strategy),
+    allowed_positions: positions.map((p) => `- ${p}: ${POSITION_MEANINGS[p]}`).join("\n"),
+    allowed_position_names: joinNames(positions)
+  };
+}
+
+/**
+ * Fill {{name}} placeholders; an unknown name is an error rather than literal braces in the prompt.
+ */
+export function renderPrompt(text, vars) {
+  return text
+    .replace(VARIABLE_RE, (_, name) => {
+      if (!(name in vars)) throw new Error(`Unknown prompt variable: {{${name}}}`);
+      return vars[name];
+    })
+    .trim();
+}
+
+/**
+ * The strategy's rendered instructions plus the template identity to log with its signals.
+ * @returns {{ id: string, hash: string, instructions: string }}
+ */
+export function strategyPrompt(strategy, dir = PROMPTS_DIR) {
+  const template = loadPromptTemplate(strategy.prompt ?? DEFAULT_PROMPT_ID, dir);
+  return { id: template.id, hash: template.hash, instructions: renderPrompt(template.text, promptVariables(strategy)) };
+}
+
+/**
+ * Rendered instructions for a portfolio decision over `members` (strategies, one per asset).
+ * @returns {{ id: string, hash: string, instructions: string }}
+ */
+export function portfolioPrompt(portfolio, members, dir = PROMPTS_DIR) {
+  const template = loadPromptTemplate(portfolio.prompt ?? DEFAULT_PORTFOLIO_PROMPT_ID, dir);
+  const assets = members.map((s) => {
+    const positions = s.allowedPositions ?? Object.keys(POSITION_MEANINGS);
+    const sides = [positions.includes("LONG_ASSET") && "long", positions.includes("SHORT_ASSET") && "short"].filter(Boolean);
+    return `- ${s.symbol} (${ASSET_TYPES[s.type] ?? "asset"}): ${sides.length ? sides.join(", ") : "cash only"}`;
+  });
+  const vars = { assets: assets.join("\n"), holding_period: holdingPeriodOf(members[0] ?? {}) };
+  return { id: template.id, hash: template.hash, instructions: renderPrompt(template.text, vars) };
+}
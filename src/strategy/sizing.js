@@ -0,0 +1,42 @@
+/**
+ * Confidence -> on-chain sizing (postSignal `weight` 1-100 and `leverage` 1-5).
+ *
+ * strategies.json:
+ *   "sizing": [
+ *     { "minConfidence": 0.75, "weight": 100, "leverage": 2 },
+ *     { "minConfidence": 0.55, "weight": 60 },
+ *     { "minConfidence": 0, "weight": 25 }
+ *   ]
+ *
+ * The tier with the highest `minConfidence` not above the decision's confidence applies; a tier
+ * with `minConfidence: 0` is required so every confidence maps somewhere.
+ * Without `sizing` (or for cash) every signal posts full weight, no leverage.
+ */
+
+export const FULL_SIZE = Object.freeze({ weight: 100, leverage: 1 });
+
+/**
+ * @param {object} strategy
+ * @param {string} signal
+ * @param {number|null|undefined} confidence - 0..1; missing (e.g. AI fallback) counts as 0
+ * @returns {{weight:number, leverage:number, min_confidence:number|null}}
+ */
+export function positionSize(strategy, signal, confidence) {
+  const tiers = strategy?.sizing;
+  if (!tiers?.length || signal === "LONG_CASH") return { ...FULL_SIZE, min_confidence: null };
+
+  const c = typeof confidence === "number" && Number.isFinite(confidence) ? confidence : 0;
+  const sorted = [...tiers].sort((a, b) => b.minConfidence - a.minConfidence);
+  const tier = sorted.find((t) => c >= t.minConfidence);
+  return { weight: tier.weight, leverage: tier.leverage ?? 1, min_confidence: tier.minConfidence };
+}
+
+/**
+ * Portfolio mode: the allocation's |weight| (percent of capital) is the size; cash posts full weight.
+ * @param {string} signal
+ * @param {number} weight - signed allocation weight, -100..100
+ */
+export function portfolioPositionSize(signal, weight) {
+  if (signal === "LONG_CASH" || !weight) return { ...FULL_SIZE, min_confidence: null };
+  return { weight: Math.abs(weight), leverage: 1, min_confidence: null };
+}